@@ -0,0 +1,138 @@
+/**
+ * This library decides which of the executor's actions need the user's approval before
+ * they run. The background worker classifies every pending action; the side panel
+ * edits the settings and shows the approval request.
+ */
+
+// 'always': ask before every action that changes something; 'risky': ask only when
+// classifyAction finds a reason; 'autonomous': never ask.
+const APPROVAL_MODES = ['always', 'risky', 'autonomous'];
+
+const DEFAULT_APPROVAL_SETTINGS = {
+  mode: 'risky',
+  siteOverrides: [], // [{site: 'admin.example.com', mode: 'always'}]; a site covers its subdomains
+};
+
+// Actions that only look at the page (or end the step, or ask the user), so no mode ever asks about them
+const READ_ONLY_ACTIONS = ['WAIT', 'EXPAND_REGION', 'EXTRACT', 'SCROLL', 'HOVER', 'SWITCH_TAB',
+  'COMPLETED', 'ABORT', 'REQUIRES_MANUAL_INTERVENTION', 'ASK_USER'];
+
+const RISKY_LABEL_PATTERN = /\b(buy|purchase|checkout|check out|place order|pay|payment|delete|remove|send|confirm|transfer)\b/i;
+
+/**
+ * Reads the approval settings saved from the Settings view.
+ * @returns {{mode: string, siteOverrides: Array<{site: string, mode: string}>}}
+ */
+function getApprovalSettings() {
+  return { ...DEFAULT_APPROVAL_SETTINGS, ...getSettingsSection('approval') };
+}
+
+/**
+ * Parses the per-site overrides typed in Settings, one `site = mode` per line.
+ * @param {string} text
+ * @returns {Array<{site: string, mode: string}>}
+ * @throws {Error} If a line isn't a site followed by a known mode.
+ */
+function parseSiteOverrides(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+    const match = line.match(/^([^\s=]+)\s*=\s*(\w+)$/);
+    if (!match || !APPROVAL_MODES.includes(match[2].toLowerCase())) {
+      throw new Error(`"${line}" should look like "example.com = ${APPROVAL_MODES.join(' | ')}".`);
+    }
+    return { site: match[1].toLowerCase(), mode: match[2].toLowerCase() };
+  });
+}
+
+/** Formats site overrides back into the text parsed by parseSiteOverrides. */
+function formatSiteOverrides(overrides) {
+  return (overrides || []).map(({ site, mode }) => `${site} = ${mode}`).join('\n');
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * The approval mode for a page: the most specific matching site override, or the default mode.
+ * @param {object} [settings] - See DEFAULT_APPROVAL_SETTINGS.
+ * @param {string} [url] - The page the action runs on.
+ * @returns {string} One of APPROVAL_MODES.
+ */
+function resolveApprovalMode(settings, url) {
+  const { mode, siteOverrides } = { ...DEFAULT_APPROVAL_SETTINGS, ...settings };
+  const hostname = getHostname(url);
+  const override = siteOverrides
+    .filter(({ site }) => hostname === site || hostname.endsWith(`.${site}`))
+    .sort((a, b) => b.site.length - a.site.length)[0];
+  return override ? override.mode : mode;
+}
+
+// The site a hostname belongs to. Without a public suffix list the last labels can't tell
+// a.co.uk from b.co.uk (or x.github.io from y.github.io), so every hostname is its own site;
+// only a leading "www." is dropped.
+function getSiteHost(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+/** The hostname of `url` when it is an http(s) page on a different site than `pageUrl`, else null. */
+function getOtherSiteHostname(pageUrl, url) {
+  let parsed;
+  try {
+    parsed = new URL(url, pageUrl);
+  } catch (e) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+  const hostname = parsed.hostname.toLowerCase();
+  return getSiteHost(hostname) === getSiteHost(getHostname(pageUrl)) ? null : hostname;
+}
+
+/**
+ * Lists why an action might be risky.
+ * @param {object} action - The executor's action ({action, data}).
+ * @param {string} pageUrl - The page the action runs on.
+ * @param {object|null} targetFacts - What inspectActionTarget found out about the target.
+ * @returns {string[]} Human-readable reasons; empty when nothing looks risky.
+ */
+function classifyAction(action, pageUrl, targetFacts) {
+  const reasons = [];
+  const type = action.action;
+  if ((type === 'NAVIGATE' || type === 'OPEN_TAB') && action.data?.text) {
+    const hostname = getOtherSiteHostname(pageUrl, action.data.text);
+    if (hostname) reasons.push(`opens another site (${hostname})`);
+  }
+  if (!targetFacts) return reasons;
+
+  const activates = type === 'CLICK' || type === 'CLICK_AT';
+  const submitsByKey = type === 'TYPE_AND_ENTER' || (type === 'PRESS_KEY' && action.data?.key === 'Enter');
+  if ((activates && targetFacts.isSubmit) || (submitsByKey && targetFacts.inForm)) {
+    if (targetFacts.formHasPassword) reasons.push('submits a form with a password field');
+    if (targetFacts.formHasPayment) reasons.push('submits a form with payment card fields');
+  }
+  if (activates && RISKY_LABEL_PATTERN.test(targetFacts.label || '')) {
+    reasons.push(`clicks "${targetFacts.label}"`);
+  }
+  if (activates && targetFacts.href) {
+    const hostname = getOtherSiteHostname(pageUrl, targetFacts.href);
+    if (hostname) reasons.push(`follows a link to another site (${hostname})`);
+  }
+  return reasons;
+}
+
+/**
+ * Whether an action has to wait for the user's approval.
+ * @param {string} mode - One of APPROVAL_MODES.
+ * @param {object} action - The executor's action.
+ * @param {string[]} reasons - From classifyAction.
+ * @returns {boolean}
+ */
+function needsApproval(mode, action, reasons) {
+  if (READ_ONLY_ACTIONS.includes(action.action)) return false;
+  if (mode === 'always') return true;
+  if (mode === 'risky') return reasons.length > 0;
+  return false;
+}
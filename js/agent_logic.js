@@ -2,34 +2,43 @@
 
 const agentData = {
   /**
-   * Generates a plan by calling the Gemini API.
+   * Generates a plan by calling the configured LLM provider.
    * @param {string} userQuery - The query from the user's input.
-   * @returns {Promise<string[]>} A promise that resolves to an array of plan steps.
+   * @param {object|null} [outputSchema] - The data the user wants collected, if any.
+   * @param {number|null} [tabId] - The tab the run will start in; the active tab if not given.
+   * @param {{askQuestions?: boolean, answers?: object[]}} [clarification] - See generatePlannerPayload.
+   * @returns {Promise<{plan: string[], loops: object[], parallel: object[], usage: object}|{questions: object[], usage: object}>}
+   *   The plan steps, the crawl loops over them (see normalizePlanLoops), the parts that can run in
+   *   parallel (see normalizeParallelPlans) and the tokens the call used; or, when asked for and
+   *   the request is too vague to plan, the questions for the user (see normalizeClarifyingQuestions).
    */
-  getPlan: async (userQuery) => {
-    const apiKey = localStorage.getItem('subscriptionKey');
-    if (!apiKey) {
-      console.error('API Key not found.');
-      // Return a rejected promise or throw an error to be caught
-      throw new Error('Subscription Key is not set. Please set it in Settings.');
-    }
+  getPlan: async (userQuery, outputSchema = null, tabId = null, clarification = {}) => {
+    const llmConfig = getLlmConfig();
 
     try {
       // 1. Generate the request payload
-      const payload = await generatePlannerPayload(userQuery);
-      console.log('Sending to Gemini:', payload);
+      const payload = await generatePlannerPayload(userQuery, outputSchema, tabId, clarification);
+      console.log(`Sending to ${llmConfig.provider}:`, payload);
 
-      // 2. Call the Gemini API
-      const response = await callGemini(apiKey, payload);
-      console.log('Received from Gemini:', response);
+      // 2. Call the configured LLM provider
+      const response = await callModel(llmConfig, payload, 'planner');
+      console.log(`Received from ${llmConfig.provider}:`, response);
 
       // 3. Process the response
       // The actual plan is in a JSON string within the response, so we need to parse it.
-      const responseText = response.candidates[0].content.parts[0].text;
-      const planObject = JSON.parse(responseText);
+      const planObject = parseModelJson(response.text);
 
-      if (planObject && planObject.plan) {
-        return planObject.plan; // This is the array of strings we want
+      if (planObject?.type === 'clarify' && clarification.askQuestions) {
+        const questions = normalizeClarifyingQuestions(planObject.questions);
+        if (questions.length > 0) return { questions, usage: response.usage };
+      }
+      if (planObject && Array.isArray(planObject.plan) && planObject.plan.length > 0) {
+        return {
+          plan: planObject.plan, // This is the array of strings we want
+          loops: normalizePlanLoops(planObject.loops, planObject.plan.length),
+          parallel: normalizeParallelPlans(planObject.parallel),
+          usage: response.usage,
+        };
       } else {
         throw new Error('Invalid plan format received from API.');
       }
@@ -39,4 +48,43 @@ const agentData = {
       throw error;
     }
   },
-};
\ No newline at end of file
+
+  /**
+   * Asks the planner to revise the remaining plan when the executor is stuck.
+   * @param {object} context - See generateReplanPayload.
+   * @param {object} [llmConfig] - The provider config; defaults to the one saved in Settings.
+   * @returns {Promise<{remainingPlan: string[], explanation: string, usage: object}>}
+   */
+  getRevisedPlan: async (context, llmConfig = getLlmConfig()) => {
+    const payload = await generateReplanPayload(context);
+    console.log(`Sending re-plan request to ${llmConfig.provider}:`, payload);
+    const response = await callModel(llmConfig, payload, 'replanner');
+    console.log(`Received revised plan from ${llmConfig.provider}:`, response);
+
+    const revision = parseModelJson(response.text);
+    if (!revision || !Array.isArray(revision.remainingPlan)) {
+      throw new Error('Invalid revised plan format received from API.');
+    }
+    return { remainingPlan: revision.remainingPlan, explanation: revision.explanation || '', usage: response.usage };
+  },
+
+  /**
+   * Asks the planner to merge the results of parallel runs into one answer.
+   * @param {string} goal - The user's request.
+   * @param {object[]} results - See generateMergePayload.
+   * @param {object} [llmConfig] - The provider config; defaults to the one saved in Settings.
+   * @returns {Promise<{summary: string, usage: object}>}
+   */
+  getMergedSummary: async (goal, results, llmConfig = getLlmConfig()) => {
+    const payload = generateMergePayload(goal, results);
+    console.log(`Sending merge request to ${llmConfig.provider}:`, payload);
+    const response = await callModel(llmConfig, payload, 'merger');
+    console.log(`Received merged results from ${llmConfig.provider}:`, response);
+
+    const merged = parseModelJson(response.text);
+    if (!merged || typeof merged.summary !== 'string') {
+      throw new Error('Invalid merged results format received from API.');
+    }
+    return { summary: merged.summary, usage: response.usage };
+  },
+};
@@ -1,25 +1,114 @@
+// Stuck detection: how many identical decisions, failed actions or WAITs in a row count as stuck
+const STUCK_REPEAT_LIMIT = 4;
+const STUCK_FAILURE_LIMIT = 3;
+const STUCK_WAIT_LIMIT = 3;
+
 /**
  * This class is the central brain of the automation. It manages the state,
  * runs the execution loop, and communicates with all other libraries.
  */
 class AgentOrchestrator {
-    constructor(plan) {
+    /**
+     * @param {string[]} plan - The plan steps to execute.
+     * @param {{goal?: string, llmConfig?: object, compaction?: object, annotateScreenshots?: boolean, input?: object, outputSchema?: object, loops?: object[], confirmSteps?: number[], replanning?: object, budget?: object, plannerUsage?: object|object[], answers?: object[], approval?: object, navigation?: object, tabId?: number, tabs?: object, startUrl?: string, recipe?: {id: string, name: string}, schedule?: {id: string, name: string, scheduledFor: number}, group?: {id: string, title: string}, replay?: {sourceRunId: string, transcript: object[]}}} [options]
+     *   Run options chosen when the run was started. `compaction` overrides DEFAULT_COMPACTION_SETTINGS;
+     *   `annotateScreenshots` draws numbered element boxes on the executor's screenshot;
+     *   `input` picks the input backend per site (see resolveInputBackend);
+     *   `outputSchema` is the data to collect with EXTRACT actions (see parseOutputSchema);
+     *   `loops` are the plan's crawl loops (see normalizePlanLoops), and `confirmSteps` the indexes
+     *   of the steps the user wants to confirm before the executor starts on them;
+     *   `replanning` overrides DEFAULT_REPLAN_SETTINGS; `budget` overrides DEFAULT_BUDGET_SETTINGS
+     *   and `plannerUsage` is the token usage of the call (or calls) that produced the plan;
+     *   `answers` are the user's answers to the planner's clarifying questions, {question, answer};
+     *   `approval` overrides DEFAULT_APPROVAL_SETTINGS and `navigation` DEFAULT_NAVIGATION_SETTINGS.
+     *   `tabId` is the tab the run starts in (the one the user is looking at if not given), and
+     *   `tabs` overrides DEFAULT_AGENT_TAB_SETTINGS for where that tab is put.
+     *   `startUrl` is opened before the first step, and `recipe` names the recipe the run was started from.
+     *   `schedule` is set for runs the background worker started from a schedule, and `group` for
+     *   the parallel runs a request was split into (see RunManager.startGroup).
+     *   With `replay`, the recorded actions are re-executed without calling the model until the
+     *   page diverges from the recording.
+     */
+    constructor(plan, options = {}) {
         this.originalPlan = [...plan]; // Keep a copy of the original plan for retry
+        this.options = options;
         this.onStateChange = null;
-        this._initState(plan);
+        this._activeLoops = 0; // Execution loops still running, see _executionLoop
+        this._initState([...plan]);
+    }
+
+    /**
+     * Rebuilds an agent from a checkpoint produced by toSnapshot().
+     * @param {object} snapshot - The stored snapshot.
+     * @returns {AgentOrchestrator} The restored agent (not running a loop yet).
+     */
+    static fromSnapshot(snapshot) {
+        const agent = new AgentOrchestrator(snapshot.originalPlan, snapshot.options);
+        agent.state = { ...snapshot.state, isActing: false }; // No loop survived the restart
+        agent.plan = agent.state.plan;
+        return agent;
+    }
+
+    /** Returns a plain, storable copy of everything needed to restore this run. */
+    toSnapshot() {
+        return {
+            originalPlan: this.originalPlan,
+            options: this.options,
+            state: this.state,
+        };
     }
 
     /** Initializes or resets the agent's state. */
     _initState(plan) {
         this.plan = plan;
+        const budget = { ...DEFAULT_BUDGET_SETTINGS, ...this.options.budget };
+        const usage = createRunUsage();
+        [].concat(this.options.plannerUsage || []).forEach(callUsage => addModelUsage(usage, callUsage, budget));
         this.state = {
+            runId: createRunId(),
+            goal: this.options.goal || '',
+            startedAt: null,
+            endedAt: null,
             plan: this.plan,
             currentStepIndex: 0, // Pointer to the original plan
             logs: {
                 mainStep: [], // Array of {status, name}
                 subStep: [],  // Array of arrays of {status, name}
             },
+            transcript: [], // Every executor decision, see _recordDecision
+            outputSchema: this.options.outputSchema || null,
+            extractedRows: [], // Rows collected by EXTRACT actions
+            // Crawl loops over plan steps, with their progress
+            loops: (this.options.loops || []).map(loop => ({
+                ...loop,
+                iteration: 1,
+                visitedUrls: [], // The page each iteration started on
+                processedItems: [], // {key, iteration} of the items the executor worked on
+                endReason: null, // Set once the loop is finished
+            })),
+            confirmSteps: [...(this.options.confirmSteps || [])], // Indexes of the steps to confirm before starting them, see _requestStepConfirmation
+            mode: this.options.replay ? 'replay' : 'llm',
+            replayIndex: 0, // Next entry of options.replay.transcript to re-execute
+            replans: [], // Plan revisions proposed after the executor got stuck, see _replan
+            stuckCheckFrom: 0, // Transcript index stuck detection starts at (moves on after each re-plan)
+            pendingDecision: null, // Something the run is paused on until the user decides, e.g. {type: 'replan', ...}
+            answers: [...(this.options.answers || [])], // {question, answer} the user gave the planner and the executor, see resolveQuestion
+            expandRegionId: null, // Compacted page region the executor asked to see next
+            lastCompactionMetrics: null,
+            budget, // Limits the run is held to
+            usage, // Model calls, tokens and estimated cost so far, see addModelUsage
+            stepActions: 0, // Actions taken on the current step
+            pausedMs: 0, // Time spent paused, excluded from the run's timeout
+            pausedAt: null,
+            stopReason: null, // Why the run was stopped early, e.g. an exhausted budget
+            startOrigin: null, // Origin of the first page read, for the navigation policy's stayInStartOrigin
+            taint: null, // {urls, findings} of pages with suspected prompt injection, see _recordInjectionFindings
+            startUrlPending: Boolean(this.options.startUrl), // Cleared once options.startUrl was opened
+            tabId: null, // The tab the run works in, see _bindTab; null once the executor closed its last tab
+            tabIds: [], // Every open tab the run owns: the one it started in and those it opened
+            tabGroupId: null, // The tab group of the run's tabs, if they are grouped
             isPaused: false,
+            isActing: false, // An iteration of the execution loop is in flight, even if the run is paused
             isRunning: false,
         };
     }
@@ -34,6 +123,12 @@ class AgentOrchestrator {
 
     /** Notifies the UI controller of any state changes. */
     _notify() {
+        // The first notification after the run stops finalizes it into the run history.
+        if (!this.state.isRunning && this.state.startedAt && !this.state.endedAt) {
+            this.state.endedAt = Date.now();
+            saveRunRecord(this.toRunRecord()).catch(error => console.error('Failed to save run history:', error));
+            detachDebuggers(this.state.tabIds); // Drop the "debugging this browser" infobar
+        }
         if (this.onStateChange) {
             this.onStateChange(this.state);
         }
@@ -49,22 +144,591 @@ class AgentOrchestrator {
         return this.state.logs.mainStep[this.state.logs.mainStep.length - 1];
     }
 
+    /**
+     * Appends an executor decision to the run transcript.
+     * @param {object} nextAction - The action object returned by the executor (or replayed).
+     * @param {string|null} screenshot - The screenshot the decision was based on.
+     * @param {object} domDto - The page DTO the decision was based on.
+     * @returns {Promise<object>} The transcript entry, so the caller can attach the result.
+     */
+    async _recordDecision(nextAction, screenshot, domDto) {
+        const index = this.state.transcript.length;
+        const entry = {
+            timestamp: Date.now(),
+            stepIndex: this.state.currentStepIndex,
+            stepName: this.plan[this.state.currentStepIndex],
+            action: nextAction.action,
+            step: nextAction.step,
+            data: { ...nextAction.data },
+            source: nextAction.source || 'model',
+            usage: nextAction.usage || null,
+            // Stable traits of the target so a replay can find it even if its id changes
+            target: nextAction.data?.id ? describeDomElement(findDomElementById(domDto, nextAction.data.id)) : null,
+            dropTarget: nextAction.data?.toId ? describeDomElement(findDomElementById(domDto, nextAction.data.toId)) : null,
+            selector: null,
+            result: null,
+            screenshotKey: null,
+        };
+        this.state.transcript.push(entry);
+        if (screenshot) {
+            entry.screenshotKey = await saveRunScreenshot(this.state.runId, index, screenshot)
+                .catch(error => {
+                    console.error('Failed to store screenshot:', error);
+                    return null;
+                });
+        }
+        return entry;
+    }
+
+    /**
+     * Produces the next recorded action to re-execute, with its target re-resolved on
+     * the current page. Returns null (after switching to the model) when replay diverges.
+     * @param {object} domDto - The current page DTO.
+     * @returns {object|null} An action object shaped like the executor's output.
+     */
+    _getReplayAction(domDto) {
+        const recorded = this.options.replay.transcript;
+        while (this.state.replayIndex < recorded.length) {
+            const entry = recorded[this.state.replayIndex++];
+            // Attempts that failed in the recorded run were retried by the model; skip them.
+            if (entry.result && !entry.result.success) continue;
+
+            if (entry.action === 'ABORT' || entry.action === 'REQUIRES_MANUAL_INTERVENTION') {
+                this._divergeFromReplay('the recorded run stopped at this point');
+                return null;
+            }
+            // The answers may be different this time; the model asks again if it still has to
+            if (entry.action === 'ASK_USER') {
+                this._divergeFromReplay('the recorded run asked the user a question here');
+                return null;
+            }
+            // The recorded rows are stale; only the model can read the data off the current page
+            if (entry.action === 'EXTRACT') {
+                this._divergeFromReplay('data has to be extracted from the current page');
+                return null;
+            }
+            if (entry.stepIndex !== this.state.currentStepIndex) {
+                this._divergeFromReplay(`the recording is on step ${entry.stepIndex + 1}, not step ${this.state.currentStepIndex + 1}`);
+                return null;
+            }
+
+            // Tab ids are assigned afresh by the browser, so recorded ones mean nothing now
+            if (typeof entry.data?.tabId === 'number') {
+                this._divergeFromReplay('the recorded run switched between tabs here');
+                return null;
+            }
+
+            const nextAction = { action: entry.action, step: entry.step, data: { ...entry.data }, source: 'replay' };
+            const references = [['id', entry.target], ['toId', entry.dropTarget]];
+            for (const [field, descriptor] of references) {
+                if (!entry.data?.[field]) continue;
+                const resolvedId = resolveRecordedElementId(domDto, entry.data[field], descriptor);
+                if (!resolvedId) {
+                    const label = descriptor?.attributes?.['aria-label'] || descriptor?.text || entry.data[field];
+                    this._divergeFromReplay(`could not find the element "${label}" on the page`);
+                    return null;
+                }
+                nextAction.data[field] = resolvedId;
+            }
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: `Replaying recorded action: ${entry.data?.summary || entry.action}` });
+            this._notify();
+            return nextAction;
+        }
+        this._divergeFromReplay('all recorded actions have been replayed');
+        return null;
+    }
+
+    /**
+     * Runs the compaction stage on a freshly read page, if enabled for this run.
+     * A pending EXPAND_REGION request is consumed here.
+     * @param {object} domDto - The full page DTO.
+     * @returns {object|null} The compactDom() result, or null when compaction is off.
+     */
+    _compactPage(domDto) {
+        const settings = { ...DEFAULT_COMPACTION_SETTINGS, ...this.options.compaction };
+        if (!settings.enabled || !domDto) return null;
+        const result = compactDom(domDto, {
+            tokenBudget: settings.tokenBudget,
+            expandRegionId: this.state.expandRegionId,
+        });
+        this.state.expandRegionId = null;
+        this.state.lastCompactionMetrics = result.metrics;
+        return result;
+    }
+
+    /**
+     * Adds the rows of an EXTRACT action to the collected data.
+     * @param {Array<object|string>} rawRows - The executor's `data.rows`.
+     * @returns {{success: boolean, message: string}} A result shaped like performActionInTab's.
+     */
+    _storeExtractedRows(rawRows) {
+        if (!this.state.outputSchema) {
+            return { success: false, message: 'No output schema was given for this run, so there is nothing to extract.' };
+        }
+        const rows = normalizeExtractedRows(rawRows, this.state.outputSchema);
+        if (rows.length === 0) {
+            return { success: false, message: 'EXTRACT returned no rows.' };
+        }
+        const merged = mergeExtractedRows(this.state.extractedRows, rows);
+        this.state.extractedRows = merged.rows;
+        return { success: true, message: `Extracted ${rows.length} rows (${merged.added} new, ${merged.rows.length} in total).` };
+    }
+
+    /** The crawl loop the current step belongs to, unless that loop has finished. */
+    _getActiveLoop() {
+        const index = this.state.currentStepIndex;
+        return this.state.loops.find(loop => !loop.endReason && index >= loop.startStep && index <= loop.endStep) || null;
+    }
+
+    /** Opens the log of the current step, tagged with the loop iteration it belongs to. */
+    _startStepLog(firstSubStepName) {
+        const loop = this._getActiveLoop();
+        const mainStep = { status: 'InProgress', name: this.plan[this.state.currentStepIndex] };
+        if (loop) mainStep.iteration = loop.iteration;
+        this.state.stepActions = 0;
+        this.state.logs.mainStep.push(mainStep);
+        this.state.logs.subStep.push([{ status: 'Completed', name: firstSubStepName }]);
+    }
+
+    /**
+     * Remembers the item the executor works on in an item loop. Working on an item that an
+     * earlier iteration already handled is refused, so a crawl never processes an item twice.
+     * @param {string} [itemKey] - The executor's `data.itemKey`.
+     * @returns {{success: boolean, message: string}|null} A failed result if the item is a repeat.
+     */
+    _claimLoopItem(itemKey) {
+        const loop = this._getActiveLoop();
+        if (!loop || !itemKey) return null;
+        const key = itemKey.trim().toLowerCase();
+        const existing = loop.processedItems.find(item => item.key === key);
+        if (existing && existing.iteration !== loop.iteration) {
+            return { success: false, message: `"${itemKey}" was already processed in iteration ${existing.iteration}. Pick an item that hasn't been processed yet, or use END_LOOP if none are left.` };
+        }
+        if (!existing) loop.processedItems.push({ key, iteration: loop.iteration });
+        return null;
+    }
+
+    /**
+     * Decides whether a loop has to stop before starting another iteration.
+     * @param {object} loop - The loop whose last step just finished.
+     * @returns {Promise<string|null>} Why the loop is finished, or null to keep going.
+     */
+    async _getLoopStopReason(loop) {
+        if (loop.iteration >= loop.maxIterations) {
+            return `reached the limit of ${loop.maxIterations} iterations`;
+        }
+        if (loop.maxItems && this.state.extractedRows.length >= loop.maxItems) {
+            return `collected ${this.state.extractedRows.length} of the ${loop.maxItems} items needed`;
+        }
+        if (loop.kind === 'pages') {
+            const tab = await chrome.tabs.get(this.state.tabId).catch(() => null);
+            if (tab && loop.visitedUrls.includes(tab.url)) {
+                return 'the next page is one that was already visited';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Works out the step to go to when the executor leaves the current one, applying crawl
+     * loops: leaving a loop's last step starts its next iteration unless the loop is finished.
+     * @param {string} stepControl - 'NEXT_STEP', 'PREV_STEP' or 'END_LOOP'.
+     * @returns {Promise<number>} The next step index.
+     */
+    async _resolveNextStepIndex(stepControl) {
+        const index = this.state.currentStepIndex;
+        if (stepControl === 'PREV_STEP') return Math.max(0, index - 1);
+
+        const loop = this._getActiveLoop();
+        if (!loop) return index + 1;
+
+        let endReason = stepControl === 'END_LOOP' ? 'no more pages or items' : null;
+        if (!endReason && index < loop.endStep) return index + 1;
+        endReason = endReason || await this._getLoopStopReason(loop);
+        if (endReason) {
+            loop.endReason = endReason;
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: `Loop finished after ${loop.iteration} iteration(s): ${endReason}.` });
+            return loop.endStep + 1;
+        }
+        loop.iteration++;
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: `Starting iteration ${loop.iteration} of at most ${loop.maxIterations}.` });
+        return loop.startStep;
+    }
+
+    /**
+     * Moves to the step the executor asked for and opens its log, or ends the run after the last step.
+     * @param {string} stepControl - 'NEXT_STEP', 'PREV_STEP' or 'END_LOOP'.
+     */
+    async _advanceStep(stepControl) {
+        const nextIndex = await this._resolveNextStepIndex(stepControl);
+        // Mark the step we are leaving as 'Completed' since the agent is moving on.
+        this._getCurrentMainStepLog().status = 'Completed';
+        this.state.currentStepIndex = nextIndex;
+        if (nextIndex >= this.plan.length) {
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Plan completed successfully!' });
+            this.state.isRunning = false; // End of plan
+        } else {
+            this._startStepLog(`Now executing step: "${this.plan[nextIndex]}"`);
+        }
+    }
+
+    /**
+     * Looks at the decisions since the last re-plan for signs that the executor is stuck.
+     * @returns {string|null} Why the run looks stuck, or null.
+     */
+    _detectStuck() {
+        const recent = this.state.transcript.slice(this.state.stuckCheckFrom);
+        const lastOf = count => (recent.length >= count ? recent.slice(-count) : null);
+
+        // The same action on the same target with the same outcome, over and over
+        const signature = entry => JSON.stringify([entry.stepIndex, entry.action, entry.data?.id, entry.data?.text,
+            entry.data?.key, entry.data?.direction, entry.result?.success, entry.result?.message]);
+        const repeated = lastOf(STUCK_REPEAT_LIMIT);
+        if (repeated && repeated.every(entry => signature(entry) === signature(repeated[0]))) {
+            return `it repeated "${repeated[0].action}" ${STUCK_REPEAT_LIMIT} times with the same result`;
+        }
+        const failed = lastOf(STUCK_FAILURE_LIMIT);
+        if (failed && failed.every(entry => entry.result && !entry.result.success)) {
+            return `its last ${STUCK_FAILURE_LIMIT} actions failed (last error: ${failed[failed.length - 1].result.message})`;
+        }
+        const waits = lastOf(STUCK_WAIT_LIMIT);
+        if (waits && waits.every(entry => entry.action === 'WAIT')) {
+            return `it waited ${STUCK_WAIT_LIMIT} times in a row without making progress`;
+        }
+        return null;
+    }
+
+    _canReplan() {
+        const settings = { ...DEFAULT_REPLAN_SETTINGS, ...this.options.replanning };
+        return settings.enabled && this.state.replans.length < settings.maxReplans;
+    }
+
+    /**
+     * Asks the planner to revise the rest of the plan, then applies the revision or pauses
+     * the run until the user approves or rejects it.
+     * @param {string} stuckReason - From _detectStuck.
+     * @param {object} domJson - The page state the executor would have seen.
+     * @param {string} actionSummary - The progress log given to the executor.
+     */
+    async _replan(stuckReason, domJson, actionSummary) {
+        const settings = { ...DEFAULT_REPLAN_SETTINGS, ...this.options.replanning };
+        this.state.stuckCheckFrom = this.state.transcript.length; // Judge the new attempt on its own
+        const log = { status: 'InProgress', name: `The agent seems stuck: ${stuckReason}. Asking for a revised plan...` };
+        this._getCurrentSubStepLog().push(log);
+        this._notify();
+
+        let revision;
+        try {
+            revision = await agentData.getRevisedPlan({
+                goal: this.state.goal,
+                plan: this.plan,
+                currentStepIndex: this.state.currentStepIndex,
+                actionSummary,
+                domJson,
+                stuckReason,
+                tabId: this.state.tabId,
+            }, this.options.llmConfig);
+        } catch (error) {
+            log.status = 'Failed';
+            log.name = `${log.name} (Error: ${error.message})`;
+            this.state.replans.push({ stuckReason, error: error.message, requestedAt: Date.now() });
+            this._notify();
+            return;
+        }
+        this._recordModelUsage(revision.usage);
+        log.status = 'Completed';
+
+        const decision = {
+            type: 'replan',
+            stuckReason,
+            explanation: revision.explanation,
+            fromStep: this.state.currentStepIndex,
+            oldSteps: this.plan.slice(this.state.currentStepIndex),
+            newSteps: revision.remainingPlan,
+            requestedAt: Date.now(),
+            approved: null,
+        };
+        this.state.replans.push(decision);
+        if (settings.autoApprove) {
+            this._applyRevisedPlan(decision);
+            this._notify();
+            return;
+        }
+
+        this.state.pendingDecision = decision;
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this._getCurrentMainStepLog().status = 'Paused';
+        this._getCurrentSubStepLog().push({ status: 'Paused', name: 'Waiting for the revised plan to be approved.' });
+        this._notify();
+    }
+
+    /** Replaces the remaining steps with a revision from _replan. */
+    _applyRevisedPlan(decision) {
+        decision.approved = true;
+        this.plan = [...this.plan.slice(0, decision.fromStep), ...decision.newSteps];
+        this.state.plan = this.plan;
+        // Loops over the replaced steps no longer line up with the plan
+        this.state.loops = this.state.loops.filter(loop => loop.endStep < decision.fromStep);
+        this.state.confirmSteps = this.state.confirmSteps.filter(index => index < decision.fromStep);
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: `Plan revised: ${decision.explanation || 'the remaining steps were replaced.'}` });
+        this._getCurrentMainStepLog().status = 'Replanned';
+
+        if (this.state.currentStepIndex >= this.plan.length) {
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Plan completed successfully!' });
+            this.state.isRunning = false; // The revision has nothing left to do
+        } else {
+            this._startStepLog(`Continuing with the revised plan: "${this.plan[this.state.currentStepIndex]}"`);
+        }
+    }
+
+    /**
+     * Applies or discards the revised plan the run is paused on, and resumes the run.
+     * @param {boolean} approved - Whether the user accepted the revision.
+     */
+    resolveReplan(approved) {
+        const decision = this.state.pendingDecision;
+        if (!decision || decision.type !== 'replan') return;
+        this.state.pendingDecision = null;
+        this._endPause();
+        if (approved) {
+            this._applyRevisedPlan(decision);
+        } else {
+            decision.approved = false;
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Revised plan rejected; continuing with the current plan.' });
+            this._getCurrentMainStepLog().status = 'InProgress';
+        }
+        this._notify();
+        if (this.state.isRunning) this._executionLoop();
+    }
+
+    /**
+     * Pauses the run before a step the user wants to confirm, once each time the step is reached.
+     * @returns {boolean} Whether the run paused.
+     */
+    _requestStepConfirmation() {
+        const index = this.state.currentStepIndex;
+        const mainStep = this._getCurrentMainStepLog();
+        if (!this.state.confirmSteps.includes(index) || mainStep.confirmed) return false;
+        this.state.pendingDecision = { type: 'confirmStep', stepIndex: index, step: this.plan[index], requestedAt: Date.now() };
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        mainStep.status = 'Paused';
+        this._getCurrentSubStepLog().push({ status: 'Paused', name: `Waiting for your go-ahead to start: "${this.plan[index]}"` });
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Starts or skips the step the run is paused before, and resumes the run.
+     * @param {boolean} approved - Whether the user wants the step carried out.
+     */
+    async resolveStepConfirmation(approved) {
+        const decision = this.state.pendingDecision;
+        if (!decision || decision.type !== 'confirmStep') return;
+        this.state.pendingDecision = null;
+        this._endPause();
+        const mainStep = this._getCurrentMainStepLog();
+        if (approved) {
+            mainStep.confirmed = true;
+            mainStep.status = 'InProgress';
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Step confirmed by user.' });
+        } else {
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Step skipped by user.' });
+            await this._advanceStep('NEXT_STEP');
+            mainStep.status = 'Skipped';
+        }
+        this._notify();
+        if (this.state.isRunning) this._executionLoop();
+    }
+
+    /**
+     * Applies the user's edit of the plan while the run is paused. Steps already done can't be
+     * changed; crawl loops follow their steps (see remapPlanLoops) and keep their progress.
+     * @param {string[]} plan - The whole edited plan.
+     * @param {Array<number|null>} stepOrigins - For each step, its index before the edit (null if inserted).
+     * @param {number[]} confirmSteps - Indexes of the steps to confirm before starting them.
+     * @throws {Error} If the run isn't paused, is still finishing an action, or the edit is invalid.
+     */
+    editPlan(plan, stepOrigins, confirmSteps) {
+        const decision = this.state.pendingDecision;
+        if (!this.state.isRunning || !this.state.isPaused || (decision && decision.type !== 'confirmStep')) {
+            throw new Error('The plan can only be changed while the run is paused.');
+        }
+        // An action in flight would still move on from the step it was started for
+        if (this.state.isActing) {
+            throw new Error('The agent is still finishing its current action. Wait a moment and save again.');
+        }
+        const from = this.state.currentStepIndex;
+        if (!Array.isArray(plan) || !Array.isArray(stepOrigins) || plan.length !== stepOrigins.length) {
+            throw new Error('The edited plan is malformed.');
+        }
+        if (!stepOrigins.slice(0, from).every((origin, index) => origin === index)) {
+            throw new Error('Steps that are already done can\'t be changed or moved.');
+        }
+        if (plan.length <= from) throw new Error('Keep at least one step to do.');
+
+        const currentStepChanged = stepOrigins[from] !== from || plan[from] !== this.plan[from];
+        this.plan = [...plan];
+        this.state.plan = this.plan;
+        this.state.loops = remapPlanLoops(this.state.loops, stepOrigins);
+        this.state.confirmSteps = [...confirmSteps];
+        const mainStep = this._getCurrentMainStepLog();
+        if (currentStepChanged) {
+            mainStep.name = this.plan[from];
+            mainStep.confirmed = false; // A different step is asked about again
+        }
+        if (decision) decision.step = this.plan[from];
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: `Plan edited by user: ${this.plan.length - from} step(s) left.` });
+        this._notify();
+    }
+
+    /**
+     * Pauses the run on the executor's questions until the user answers them.
+     * @param {object} nextAction - The ASK_USER action; `data.questions` as the planner asks them.
+     * @param {object} transcriptEntry - Its transcript entry, which gets the answers.
+     * @returns {boolean} Whether the run paused; without a usable question the executor is told
+     *   so and goes on.
+     */
+    _requestAnswers(nextAction, transcriptEntry) {
+        const questions = normalizeClarifyingQuestions(nextAction.data.questions);
+        if (questions.length === 0) {
+            this._rejectAction(nextAction, transcriptEntry, 'ASK_USER needs at least one question in data.questions.');
+            return false;
+        }
+        this.state.pendingDecision = {
+            type: 'question',
+            questions,
+            summary: nextAction.data.summary,
+            transcriptIndex: this.state.transcript.indexOf(transcriptEntry),
+            requestedAt: Date.now(),
+        };
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this._getCurrentMainStepLog().status = 'Paused';
+        this._getCurrentSubStepLog().push({ status: 'Paused', name: `Waiting for your answer: ${questions.map(item => item.question).join(' ')}` });
+        this._notify();
+        return true;
+    }
+
+    /**
+     * Passes the user's answers to the executor's questions on and resumes the run.
+     * @param {string[]|null} answers - One answer per question (empty if left out), or null if the
+     *   user chose not to answer; the executor then has to do without.
+     */
+    resolveQuestion(answers) {
+        const decision = this.state.pendingDecision;
+        if (!decision || decision.type !== 'question') return;
+        this.state.pendingDecision = null;
+        this._endPause();
+        this._getCurrentMainStepLog().status = 'InProgress';
+        const transcriptEntry = this.state.transcript[decision.transcriptIndex];
+        let message;
+        if (answers) {
+            const answered = decision.questions.map((item, index) => ({ question: item.question, answer: String(answers[index] ?? '').trim() }));
+            this.state.answers.push(...answered);
+            message = `The user answered: ${answered.map(({ question, answer }) => `${question} ${answer || '(not answered)'}`).join('; ')}`;
+        } else {
+            message = 'The user chose not to answer. Do not ask again; make a sensible choice or ask for manual intervention.';
+        }
+        if (transcriptEntry) transcriptEntry.result = { success: Boolean(answers), message, timestamp: Date.now() };
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: message });
+        this._notify();
+        if (this.state.isRunning) this._executionLoop();
+    }
+
+    /** Leaves replay mode; the loop continues by asking the model. */
+    _divergeFromReplay(reason) {
+        this.state.mode = 'llm';
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: `Replay diverged (${reason}). Falling back to the model.` });
+        this._notify();
+    }
+
+    /** Builds the record stored in the run history once the run has finished. */
+    toRunRecord() {
+        const { logs, currentStepIndex } = this.state;
+        let status = 'Stopped';
+        if (currentStepIndex >= this.plan.length) {
+            status = 'Completed';
+        } else if (logs.mainStep.some(step => step.status === 'Failed')) {
+            status = 'Failed';
+        }
+        return {
+            id: this.state.runId,
+            goal: this.state.goal,
+            status,
+            startedAt: this.state.startedAt,
+            endedAt: this.state.endedAt,
+            plan: [...this.plan],
+            logs,
+            transcript: this.state.transcript,
+            outputSchema: this.state.outputSchema,
+            extractedRows: this.state.extractedRows,
+            loops: this.state.loops,
+            replans: this.state.replans,
+            answers: this.state.answers,
+            usage: this.state.usage,
+            pausedMs: this.state.pausedMs,
+            stopReason: this.state.stopReason,
+            taint: this.state.taint,
+            recipe: this.options.recipe || null,
+            schedule: this.options.schedule ? { id: this.options.schedule.id, name: this.options.schedule.name } : null,
+            group: this.options.group || null,
+        };
+    }
+
     /** Starts the agent's execution loop. */
     start() {
         if (this.state.isRunning) return;
         this.state.isRunning = true;
+        this.state.startedAt = Date.now();
         // Start the log for the first step
-        const firstStepName = this.plan[0];
-        this.state.logs.mainStep.push({ status: 'InProgress', name: firstStepName });
-        this.state.logs.subStep.push([{ status: 'Completed', name: `Agent started with plan: "${firstStepName}"` }]);
+        this._startStepLog(`Agent started with plan: "${this.plan[0]}"`);
         this._notify();
-        this._executionLoop();
+        this._bindTab()
+            .then(() => this._executionLoop())
+            .catch(error => this._handleCriticalError(error));
+    }
+
+    /**
+     * Binds the run to the tab it starts in and puts that tab where the settings say (see
+     * bindAgentTab). From then on the run only reads and acts in its own tabs, so the user can
+     * switch to other tabs meanwhile.
+     */
+    async _bindTab() {
+        let startTab = null;
+        // A retried run stays in the tab it was in
+        for (const tabId of [this.state.tabId, this.options.tabId]) {
+            if (!startTab && typeof tabId === 'number') startTab = await chrome.tabs.get(tabId).catch(() => null);
+        }
+        if (!startTab) [startTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        if (!startTab) throw new Error('There is no tab to run in.');
+
+        // Parallel runs each get a group of their own, labelled with their part of the request
+        const title = this.options.group ? `${AGENT_TAB_GROUP_TITLE}: ${this.options.group.title}` : AGENT_TAB_GROUP_TITLE;
+        const { tabId, groupId, placement } = await bindAgentTab(startTab.id, this.options.tabs, title);
+        this.state.tabId = tabId;
+        this.state.tabIds = [tabId];
+        this.state.tabGroupId = groupId;
+        const where = {
+            tab: '',
+            group: ` in the "${title}" tab group`,
+            window: ' in a minimized window',
+        }[placement];
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: `Working in tab ${tabId}${where}. You can keep using your other tabs.` });
+        this._notify();
+    }
+
+    /** The run's tabs, as performActionInTab and getOpenTabs take them. */
+    _getRunTabs() {
+        return { tabId: this.state.tabId, tabIds: this.state.tabIds, groupId: this.state.tabGroupId };
     }
 
     /** Pauses the execution loop. */
     pause() {
         if (!this.state.isRunning || this.state.isPaused) return;
         this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
         this._getCurrentSubStepLog().push({ status: 'Paused', name: 'Agent paused by user.' });
         this._getCurrentMainStepLog().status = 'Paused';
         this._notify();
@@ -73,18 +737,63 @@ class AgentOrchestrator {
     /** Resumes the execution loop. */
     resume() {
         if (!this.state.isRunning || !this.state.isPaused) return;
-        this.state.isPaused = false;
+        if (this.state.pendingDecision) return; // Resumed by resolving the decision instead
+        this._endPause();
         this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Agent resumed by user.' });
         this._getCurrentMainStepLog().status = 'InProgress';
         this._notify();
         this._executionLoop(); // Relaunch the loop
     }
 
+    /** Leaves the paused state, adding the pause to the time excluded from the run's timeout. */
+    _endPause() {
+        this.state.isPaused = false;
+        if (this.state.pausedAt) {
+            this.state.pausedMs += Date.now() - this.state.pausedAt;
+            this.state.pausedAt = null;
+        }
+    }
+
+    /**
+     * Counts a model call towards the run's budget.
+     * @param {object} [usage] - The normalized token usage of the response.
+     */
+    _recordModelUsage(usage) {
+        addModelUsage(this.state.usage, usage, this.state.budget);
+    }
+
+    /**
+     * Ends the run because one of its budgets is exhausted.
+     * @param {string} reason - From getBudgetExceededReason.
+     */
+    _stopForBudget(reason) {
+        this.state.isRunning = false;
+        this.state.isPaused = false;
+        this.state.stopReason = `The run ${reason}.`;
+        this._getCurrentMainStepLog().status = 'Failed';
+        this._getCurrentSubStepLog().push({ status: 'Failed', name: `Stopped: ${this.state.stopReason} You can raise the limit in Settings.` });
+        this._notify();
+    }
+
+    /** Re-enters the execution loop after the hosting worker was restarted mid-run. */
+    resumeAfterRestart() {
+        const lastSubStep = this._getCurrentSubStepLog()?.slice(-1)[0];
+        if (lastSubStep && lastSubStep.status === 'InProgress') {
+            // The action may or may not have happened; let the AI re-check the page.
+            lastSubStep.status = 'Failed';
+            lastSubStep.name = `${lastSubStep.name} (Interrupted by a background restart)`;
+        }
+        this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Agent resumed after a background restart.' });
+        this._notify();
+        this._executionLoop();
+    }
+
     /** Stops the agent and cleans up. */
     stop() {
         if (!this.state.isRunning) return;
         this.state.isRunning = false;
         this.state.isPaused = false;
+        this.state.pendingDecision = null;
         const currentMainStep = this._getCurrentMainStepLog();
         if (currentMainStep && currentMainStep.status === 'InProgress') {
             this._getCurrentMainStepLog().status = 'Failed';
@@ -93,10 +802,47 @@ class AgentOrchestrator {
         this._notify();
     }
 
-    /** The main loop that drives the agent's actions. */
+    /**
+     * Runs the main loop, keeping state.isActing set while an iteration is in flight (pausing
+     * only takes effect once it has finished).
+     */
     async _executionLoop() {
+        this._activeLoops += 1;
+        this.state.isActing = true;
+        try {
+            await this._runLoop();
+        } finally {
+            this._activeLoops -= 1;
+            if (this._activeLoops === 0) {
+                this.state.isActing = false;
+                this._notify();
+            }
+        }
+    }
+
+    /** The main loop that drives the agent's actions. */
+    async _runLoop() {
         while (this.state.isRunning && !this.state.isPaused) {
             try {
+                // 0. Stop before going over the run's budget
+                const budgetReason = getBudgetExceededReason(this.state.usage, {
+                    activeMs: getRunActiveMs(this.state),
+                    stepActions: this.state.stepActions,
+                }, this.state.budget);
+                if (budgetReason) {
+                    this._stopForBudget(budgetReason);
+                    return;
+                }
+
+                // 0a. Steps the user marked wait for their go-ahead before the executor starts on them
+                if (this._requestStepConfirmation()) return;
+
+                // 0b. Runs started from a recipe begin on its starting page
+                if (this.state.startUrlPending) {
+                    this.state.startUrlPending = false;
+                    await this._openStartUrl(this.options.startUrl);
+                }
+
                 // Format the log history for the AI
                 const actionSummary = this.state.logs.mainStep.map((step, index) => {
                     const subLogs = this.state.logs.subStep[index].map(s => `  - [${s.status}] ${s.name}`).join('\n');
@@ -104,22 +850,76 @@ class AgentOrchestrator {
                 }).join('\n\n');
 
                 // 1. Get the current state of the page
-                this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Reading page content...' });
+                const readingLog = { status: 'Completed', name: 'Reading page content...' };
+                this._getCurrentSubStepLog().push(readingLog);
                 this._notify();
-                const { domDto, selectorMap, screenshot, screenShotError, domJsonError } = await generateDomAndSelectorMap();
+                const { domDto, selectorMap, screenshot, hasMarks, screenShotError, domJsonError } = await generateDomAndSelectorMap({
+                    tabId: this.state.tabId,
+                    annotate: this.options.annotateScreenshots,
+                });
 
-                // 2. Ask Gemini for the next action
-                this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Deciding next action...' });
-                this._notify();
-                const nextAction = await getNextAgentAction(
-                    this.plan,
-                    this.state.currentStepIndex,
-                    actionSummary,
-                    domDto,
-                    screenshot,
-                    screenShotError,
-                    domJsonError
-                );
+                if (!this.state.startOrigin && /^https?:/.test(domDto?.url || '')) {
+                    this.state.startOrigin = new URL(domDto.url).origin;
+                }
+
+                // 1a. Look for prompt injection before any page text reaches the executor
+                const injectionFindings = domDto ? scanPageForInjection(domDto) : [];
+                if (injectionFindings.length > 0) this._recordInjectionFindings(domDto.url, injectionFindings);
+
+                const activeLoop = this._getActiveLoop();
+                if (activeLoop && activeLoop.visitedUrls.length < activeLoop.iteration && domDto?.url) {
+                    activeLoop.visitedUrls.push(domDto.url);
+                }
+
+                // 1b. Shrink the page state to the executor's token budget
+                const compaction = this._compactPage(domDto);
+                if (compaction) {
+                    const { beforeTokens, afterTokens } = compaction.metrics;
+                    readingLog.name = `Reading page content... (~${beforeTokens.toLocaleString()} → ~${afterTokens.toLocaleString()} tokens${compaction.truncated ? ', truncated' : ''})`;
+                }
+
+                // 1c. Ask for a revised plan when the executor is going round in circles
+                const stuckReason = this.state.mode === 'llm' ? this._detectStuck() : null;
+                if (stuckReason && this._canReplan()) {
+                    await this._replan(stuckReason, compaction ? compaction.domDto : domDto, actionSummary);
+                    continue; // Re-read the page; the loop exits if the run paused for approval
+                }
+
+                // 2. Take the next recorded action when replaying, otherwise ask the model
+                let nextAction = this.state.mode === 'replay' ? this._getReplayAction(domDto) : null;
+                if (!nextAction) {
+                    this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Deciding next action...' });
+                    this._notify();
+                    nextAction = await getNextAgentAction({
+                        plan: this.plan,
+                        currentStepIndex: this.state.currentStepIndex,
+                        actionSummary,
+                        domJson: compaction ? compaction.domDto : domDto,
+                        screenshot,
+                        screenShotError,
+                        domJsonError,
+                        isTruncated: compaction?.truncated,
+                        hasMarks,
+                        injectionFindings,
+                        vault: await listVaultPlaceholders(),
+                        answers: this.state.answers,
+                        tabs: await getOpenTabs(this._getRunTabs()),
+                        extraction: this.state.outputSchema ? {
+                            outputSchema: this.state.outputSchema,
+                            rowCount: this.state.extractedRows.length,
+                            recentRows: this.state.extractedRows.slice(-3),
+                        } : undefined,
+                        loop: activeLoop ? {
+                            ...activeLoop,
+                            visitedUrls: activeLoop.visitedUrls.slice(-10),
+                            processedKeys: activeLoop.processedItems.map(item => item.key).slice(-30),
+                        } : undefined,
+                    }, this.options.llmConfig);
+                    this._recordModelUsage(nextAction.usage);
+                }
+                const transcriptEntry = await this._recordDecision(nextAction, screenshot, domDto);
+                this.state.stepActions += 1;
+                if (compaction) transcriptEntry.domMetrics = compaction.metrics;
 
                 // 3. Handle special actions from the AI
                 if (nextAction.action === 'ABORT') {
@@ -136,6 +936,19 @@ class AgentOrchestrator {
                     return;
                 }
 
+                if (nextAction.action === 'ASK_USER') {
+                    if (this._requestAnswers(nextAction, transcriptEntry)) return;
+                    continue;
+                }
+
+                if (nextAction.action === 'EXPAND_REGION') {
+                    // Nothing to do in the page; the next read shows the requested region in full.
+                    this.state.expandRegionId = nextAction.data.id || null;
+                    this._getCurrentSubStepLog().push({ status: 'Completed', name: `Expanding page region ${nextAction.data.id}: ${nextAction.data.summary}` });
+                    this._notify();
+                    continue;
+                }
+
                 if (nextAction.action === 'WAIT') {
                     const lastSubStep = this._getCurrentSubStepLog();
                     lastSubStep.push({ status: 'InProgress', name: `Executing: ${nextAction.data.summary}` });
@@ -148,68 +961,61 @@ class AgentOrchestrator {
 
                 if (nextAction.action === 'COMPLETED') {
                     this._getCurrentSubStepLog().push({ status: 'Completed', name: nextAction.data.summary || 'Action completed successfully.' });
-                    this._getCurrentMainStepLog().status = 'Completed';
-                    this.state.currentStepIndex++;
-                    if (this.state.currentStepIndex >= this.plan.length) {
-                        this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Plan completed successfully!' });
-                        this.state.isRunning = false; // End of plan
-                        this._notify();
-                        return;
-                    } else {
-                        const newStepDescription = this.plan[this.state.currentStepIndex];
-                        this.state.logs.mainStep.push({ status: 'InProgress', name: newStepDescription });
-                        this.state.logs.subStep.push([{ status: 'Completed', name: `Now executing step: "${newStepDescription}"` }]);
-                    }
+                    await this._advanceStep(nextAction.step === 'END_LOOP' ? 'END_LOOP' : 'NEXT_STEP');
                     this._notify();
+                    if (!this.state.isRunning) return; // End of plan
                     continue; // Continue to next loop iteration to re-evaluate
                 }
 
                 // 4. Prepare and execute the action in the browser
                 const actionDetails = {
                     type: nextAction.action,
-                    selector: nextAction.data.id ? selectorMap?.[nextAction.data.id] : null,
+                    target: nextAction.data.id ? selectorMap?.[nextAction.data.id] : null,
                     text: nextAction.data.text,
+                    x: nextAction.data.x,
+                    y: nextAction.data.y,
+                    key: nextAction.data.key,
+                    modifiers: nextAction.data.modifiers,
+                    direction: nextAction.data.direction,
+                    destination: nextAction.data.toId ? selectorMap?.[nextAction.data.toId] : null,
+                    tabId: nextAction.data.tabId,
+                    inputBackend: resolveInputBackend(this.options.input, domDto?.url),
+                    pageUrl: domDto?.url, // The page the action was chosen on
                 };
 
-                this._getCurrentSubStepLog().push({ status: 'InProgress', name: `Executing: ${nextAction.data.summary}` });
-                this._notify();
-                const result = await performActionInTab(actionDetails);
-
-                // 5. Update state based on action result
-                const lastSubStep = this._getCurrentSubStepLog().slice(-1)[0];
-                if (result.success) {
-                    lastSubStep.status = 'Completed';
-
-                    // Update the plan step based on AI's instruction
-                    if (nextAction.step === 'NEXT_STEP') {
-                        this.state.currentStepIndex++;
-                    } else if (nextAction.step === 'PREV_STEP') {
-                        this.state.currentStepIndex = Math.max(0, this.state.currentStepIndex - 1);
-                    }
+                // 4a. Refuse actions that would leave the pages the navigation policy allows
+                const targetFacts = READ_ONLY_ACTIONS.includes(nextAction.action) ? null : await inspectActionTarget(actionDetails, this.state.tabId);
+                const navigationViolation = await this._checkActionNavigation(nextAction, targetFacts, domDto?.url);
+                if (navigationViolation) {
+                    this._rejectAction(nextAction, transcriptEntry, `Blocked by the navigation policy: ${navigationViolation}`);
+                    continue;
+                }
 
-                    // If the AI moved to a new step, finalize the old step and create a new log entry
-                    if (nextAction.step !== 'STAY_ON_STEP') {
-                        // Mark the step we are leaving as 'Completed' since the agent is moving on.
-                        this._getCurrentMainStepLog().status = 'Completed';
-
-                        if (this.state.currentStepIndex >= this.plan.length) {
-                            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Plan completed successfully!' });
-                            this.state.isRunning = false; // End of plan
-                        } else {
-                            const newStepDescription = this.plan[this.state.currentStepIndex];
-                            this.state.logs.mainStep.push({ status: 'InProgress', name: newStepDescription });
-                            this.state.logs.subStep.push([{ status: 'Completed', name: `Now executing step: "${newStepDescription}"` }]);
-                        }
+                // 4b. Hold actions the approval policy flags until the user approves them. After a
+                // suspicious page, actions that could be its doing need approval in every mode.
+                const approvalMode = resolveApprovalMode(this.options.approval, domDto?.url);
+                if (!READ_ONLY_ACTIONS.includes(nextAction.action)) {
+                    const taintReasons = getTaintedActionReasons(nextAction, {
+                        taint: this.state.taint,
+                        pageUrl: domDto?.url,
+                        targetFacts,
+                        goal: this.state.goal,
+                    });
+                    const reasons = [
+                        ...(approvalMode === 'autonomous' ? [] : classifyAction(nextAction, domDto?.url, targetFacts)),
+                        ...taintReasons,
+                    ];
+                    if (taintReasons.length > 0 || needsApproval(approvalMode, nextAction, reasons)) {
+                        this._requestApproval(nextAction, actionDetails, transcriptEntry, {
+                            reasons,
+                            targetRect: targetFacts?.rect || null,
+                            viewport: domDto?.viewport || null,
+                        });
+                        return;
                     }
-                } else {
-                    // Action failed. Log it and let the loop continue without advancing the step.
-                    // The AI will see the failure in the next iteration's summary and can decide how to proceed.
-                    lastSubStep.status = 'Failed';
-                    lastSubStep.name = `${lastSubStep.name} (Error: ${result.message})`;
-                    console.error('Action failed:', JSON.stringify(actionDetails), `Reason: ${result.message}`);
                 }
 
-                this._notify();
+                await this._executeAction(nextAction, actionDetails, transcriptEntry);
 
             } catch (error) {
                 this._handleCriticalError(error);
@@ -217,6 +1023,228 @@ class AgentOrchestrator {
         }
     }
 
+    /**
+     * Runs an action in the browser (or stores extracted rows) and moves the plan on when it succeeds.
+     * @param {object} nextAction - The executor's (or a replayed) action.
+     * @param {object} actionDetails - The action as performActionInTab takes it.
+     * @param {object} transcriptEntry - The decision's transcript entry; gets the result.
+     */
+    async _executeAction(nextAction, actionDetails, transcriptEntry) {
+        this._getCurrentSubStepLog().push({ status: 'InProgress', name: `Executing: ${nextAction.data.summary}` });
+        this._notify();
+        transcriptEntry.selector = actionDetails.target?.selector || null;
+        transcriptEntry.locator = actionDetails.target?.locator || null;
+        // EXTRACT only reads what the model saw; everything else acts on the page
+        const duplicateItem = this._claimLoopItem(nextAction.data.itemKey);
+        let result = duplicateItem
+            || (nextAction.action === 'EXTRACT'
+                ? this._storeExtractedRows(nextAction.data.rows)
+                : await performActionInTab(actionDetails, this._getRunTabs()));
+        if (result.tabs) {
+            // OPEN_TAB, SWITCH_TAB and CLOSE_TAB move the run to another of its tabs
+            this.state.tabId = result.tabs.tabId;
+            this.state.tabIds = result.tabs.tabIds;
+        }
+        if (result.success && !duplicateItem && nextAction.action !== 'EXTRACT') {
+            const violation = await this._leaveBlockedPage(actionDetails.pageUrl);
+            if (violation) result = { success: false, message: violation };
+        }
+        transcriptEntry.result = { success: result.success, message: result.message, timestamp: Date.now() };
+
+        // Update state based on action result
+        const lastSubStep = this._getCurrentSubStepLog().slice(-1)[0];
+        if (result.success) {
+            lastSubStep.status = 'Completed';
+
+            // Update the plan step based on AI's instruction
+            if (nextAction.step !== 'STAY_ON_STEP') {
+                await this._advanceStep(nextAction.step);
+            }
+        } else {
+            // Action failed. Log it and let the loop continue without advancing the step.
+            // The AI will see the failure in the next iteration's summary and can decide how to proceed.
+            lastSubStep.status = 'Failed';
+            lastSubStep.name = `${lastSubStep.name} (Error: ${result.message})`;
+            console.error('Action failed:', JSON.stringify(actionDetails), `Reason: ${result.message}`);
+            if (nextAction.source === 'replay') {
+                this._divergeFromReplay('a recorded action failed');
+            }
+        }
+        this._notify();
+    }
+
+    /**
+     * Marks the run as having read a suspicious page and logs what was found, once per page.
+     * @param {string} url - The page.
+     * @param {object[]} findings - From scanPageForInjection.
+     */
+    _recordInjectionFindings(url, findings) {
+        if (!this.state.taint) this.state.taint = { urls: [], findings: [] };
+        const taint = this.state.taint;
+        if (taint.urls.includes(url)) return;
+        taint.urls.push(url);
+        taint.findings = [...taint.findings, ...findings.map(finding => ({ ...finding, url }))].slice(0, MAX_TAINT_FINDINGS);
+        // The log goes into the executor's prompt, so it never quotes the page text; the
+        // excerpts stay in state.taint for the approval view
+        const kinds = [...new Set(findings.map(finding => finding.kind))].join(', ');
+        const elementIds = findings.map(finding => finding.elementId).filter(Boolean);
+        this._getCurrentSubStepLog().push({
+            status: 'Warning',
+            name: `Possible prompt injection on ${url} (${kinds}${elementIds.length > 0 ? `; elements ${elementIds.join(', ')}` : ''}). Leaving the site or typing new text now needs your approval.`,
+        });
+        this._notify();
+    }
+
+    /**
+     * Checks where an action would take the agent against the navigation policy.
+     * @param {object} nextAction - The executor's action.
+     * @param {object|null} targetFacts - From inspectActionTarget.
+     * @param {string} [pageUrl] - The page the action was chosen on.
+     * @returns {Promise<string|null>} Why the action is refused, or null if it may run.
+     */
+    async _checkActionNavigation(nextAction, targetFacts, pageUrl) {
+        const destinations = [];
+        const type = nextAction.action;
+        if ((type === 'NAVIGATE' || type === 'OPEN_TAB') && nextAction.data.text) {
+            destinations.push(nextAction.data.text);
+        }
+        if (type === 'SWITCH_TAB') {
+            const tab = (await getOpenTabs(this._getRunTabs())).find(openTab => openTab.id === nextAction.data.tabId);
+            if (tab?.url) destinations.push(tab.url);
+        }
+        if (targetFacts) {
+            const activates = type === 'CLICK' || type === 'CLICK_AT';
+            const submitsByKey = type === 'TYPE_AND_ENTER' || (type === 'PRESS_KEY' && nextAction.data.key === 'Enter');
+            // javascript: links run page script rather than navigate, so only real destinations count
+            if (activates && /^https?:/i.test(targetFacts.href || '')) destinations.push(targetFacts.href);
+            if (((activates && targetFacts.isSubmit) || (submitsByKey && targetFacts.inForm))
+                && /^https?:/i.test(targetFacts.formAction || '')) {
+                destinations.push(targetFacts.formAction);
+            }
+        }
+
+        for (const url of destinations) {
+            const check = checkNavigation(url, { settings: this.options.navigation, startOrigin: this.state.startOrigin, pageUrl });
+            if (!check.allowed) return `${url} can't be opened because ${check.reason}`;
+        }
+        return null;
+    }
+
+    /**
+     * Goes back when an action landed on a page the navigation policy doesn't allow (e.g. after
+     * a redirect or a script-driven navigation). If there is nothing to go back to, the tab is sent
+     * to the page the action was chosen on, or to a blank page when that isn't allowed either.
+     * @param {string} [previousUrl] - The page the action was chosen on.
+     * @returns {Promise<string|null>} The failure to report to the executor, or null if the page is allowed.
+     */
+    async _leaveBlockedPage(previousUrl) {
+        const tab = (await getOpenTabs(this._getRunTabs())).find(openTab => openTab.active);
+        if (!tab?.url || tab.url === previousUrl) return null;
+        const check = checkNavigation(tab.url, { settings: this.options.navigation, startOrigin: this.state.startOrigin });
+        if (check.allowed) return null;
+
+        try {
+            await chrome.tabs.goBack(tab.id);
+        } catch (error) {
+            // Closing the tab could lose the user's work in it, so keep it and move it away instead
+            const previousAllowed = previousUrl && checkNavigation(previousUrl, { settings: this.options.navigation, startOrigin: this.state.startOrigin }).allowed;
+            await chrome.tabs.update(tab.id, { url: previousAllowed ? previousUrl : 'about:blank' });
+        }
+        return `The action led to ${tab.url}, which the navigation policy blocks because ${check.reason} The agent left that page again.`;
+    }
+
+    /**
+     * Opens the page a run starts on, if the navigation policy allows it. When it can't be
+     * opened, the run goes on from the current page and the executor sees why in the log.
+     * @param {string} url
+     */
+    async _openStartUrl(url) {
+        const check = checkNavigation(url, { settings: this.options.navigation });
+        const result = check.allowed
+            ? await performActionInTab({ type: 'NAVIGATE', text: url }, this._getRunTabs())
+            : { success: false, message: `The navigation policy blocks it: ${check.reason}` };
+        this._getCurrentSubStepLog().push(result.success
+            ? { status: 'Completed', name: `Opened the starting page ${url}` }
+            : { status: 'Failed', name: `Could not open the starting page ${url} (Error: ${result.message})` });
+        this._notify();
+    }
+
+    /**
+     * Records an action as failed without running it.
+     * @param {object} nextAction - The refused action.
+     * @param {object} transcriptEntry - The decision's transcript entry; gets the result.
+     * @param {string} message - Why, written for the executor.
+     */
+    _rejectAction(nextAction, transcriptEntry, message) {
+        console.warn('Action refused:', nextAction.action, message);
+        transcriptEntry.result = { success: false, message, timestamp: Date.now() };
+        this._getCurrentSubStepLog().push({ status: 'Failed', name: `${nextAction.data.summary} (Error: ${message})` });
+        if (nextAction.source === 'replay') {
+            this._divergeFromReplay('a recorded action was refused');
+        }
+        this._notify();
+    }
+
+    /**
+     * Pauses the run until the user approves or declines an action the approval policy flagged.
+     * @param {object} nextAction - The action waiting for approval.
+     * @param {object} actionDetails - The action as performActionInTab takes it.
+     * @param {object} transcriptEntry - The decision's transcript entry.
+     * @param {{reasons: string[], targetRect: object|null, viewport: object|null}} review - What
+     *   the side panel shows: why the action was flagged and where its target is on the screenshot.
+     */
+    _requestApproval(nextAction, actionDetails, transcriptEntry, review) {
+        this.state.pendingDecision = {
+            type: 'approval',
+            action: nextAction,
+            actionDetails,
+            transcriptIndex: this.state.transcript.indexOf(transcriptEntry),
+            screenshotKey: transcriptEntry.screenshotKey,
+            ...review,
+            requestedAt: Date.now(),
+        };
+        this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this._getCurrentMainStepLog().status = 'Paused';
+        const why = review.reasons.length > 0 ? ` (it ${review.reasons.join(', ')})` : '';
+        this._getCurrentSubStepLog().push({ status: 'Paused', name: `Waiting for approval: ${nextAction.data.summary}${why}` });
+        this._notify();
+    }
+
+    /**
+     * Runs or skips the action the run is paused on, and resumes the run.
+     * @param {boolean} approved - Whether the user allowed the action.
+     */
+    async resolveApproval(approved) {
+        const decision = this.state.pendingDecision;
+        if (!decision || decision.type !== 'approval') return;
+        this.state.pendingDecision = null;
+        this._endPause();
+        this._getCurrentMainStepLog().status = 'InProgress';
+        const transcriptEntry = this.state.transcript[decision.transcriptIndex];
+        transcriptEntry.approval = approved ? 'approved' : 'declined';
+
+        if (approved) {
+            this._getCurrentSubStepLog().push({ status: 'Completed', name: 'Action approved by user.' });
+            this._notify();
+            try {
+                await this._executeAction(decision.action, decision.actionDetails, transcriptEntry);
+            } catch (error) {
+                this._handleCriticalError(error);
+            }
+        } else {
+            // The executor sees the refusal in its progress log and has to find another way
+            const message = 'The user declined this action. Do not try it again; find another way or ask for manual intervention.';
+            transcriptEntry.result = { success: false, message, timestamp: Date.now() };
+            this._getCurrentSubStepLog().push({ status: 'Failed', name: `Declined by user: ${decision.action.data.summary}` });
+            if (decision.action.source === 'replay') {
+                this._divergeFromReplay('the user declined a recorded action');
+            }
+            this._notify();
+        }
+        if (this.state.isRunning && !this.state.isPaused) this._executionLoop();
+    }
+
     /** Aborts the agent and cleans up. */
     abort() {
         this.state.isRunning = false;
@@ -237,8 +1265,10 @@ class AgentOrchestrator {
 
     /** Resets the agent to its initial state and starts over. */
     retry() {
+        const { tabId } = this.state;
         // Reset state to initial conditions using the original plan
-        this._initState(this.originalPlan);
+        this._initState([...this.originalPlan]);
+        this.state.tabId = tabId; // Start over in the same tab
         // Start the process again
         this.start();
     }
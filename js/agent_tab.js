@@ -0,0 +1,112 @@
+/**
+ * This library gives a run tabs of its own. A run is bound to the tab it starts in (and the
+ * tabs it opens), not to whichever tab the user happens to be looking at, so the user can
+ * keep working while the agent runs. The agent's tabs can be gathered in a labelled tab group
+ * or moved to a minimized window, and are read and captured even while in the background.
+ * Loaded by the side panel (for the settings) and the background worker, after cdp_input.js.
+ */
+
+const DEFAULT_AGENT_TAB_SETTINGS = {
+  placement: 'group', // 'tab' (left where it is), 'group' (a labelled tab group) or 'window' (a minimized window, also labelled)
+  groupColor: 'purple',
+};
+
+// A background tab that never renders (e.g. a hung page) would otherwise hold the run up forever
+const CDP_CAPTURE_TIMEOUT_MS = 10000;
+
+const AGENT_TAB_GROUP_TITLE = 'Agent';
+const AGENT_TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Reads the agent tab settings saved from the Settings view.
+ * @returns {{placement: string, groupColor: string}}
+ */
+function getAgentTabSettings() {
+  return { ...DEFAULT_AGENT_TAB_SETTINGS, ...getSettingsSection('tabs') };
+}
+
+/**
+ * Puts the tab a run starts in where the settings say.
+ * @param {number} tabId - The tab the run starts in.
+ * @param {object} [settings] - Overrides DEFAULT_AGENT_TAB_SETTINGS.
+ * @param {string} [title] - The label of the tab group.
+ * @returns {Promise<{tabId: number, groupId: number|null, placement: string}>} The placement that
+ *   was applied: moving a window's only tab would close that window, so that tab is grouped instead.
+ */
+async function bindAgentTab(tabId, settings, title = AGENT_TAB_GROUP_TITLE) {
+  const { placement, groupColor } = { ...DEFAULT_AGENT_TAB_SETTINGS, ...settings };
+  const tab = await chrome.tabs.get(tabId);
+  let applied = placement;
+  if (placement === 'window') {
+    const windowTabs = await chrome.tabs.query({ windowId: tab.windowId });
+    if (windowTabs.length > 1) {
+      await chrome.windows.create({ tabId, state: 'minimized' });
+    } else {
+      applied = 'group';
+    }
+  }
+  if (applied === 'tab') return { tabId, groupId: null, placement: applied };
+
+  try {
+    const groupId = await chrome.tabs.group({ tabIds: [tabId] });
+    await chrome.tabGroups.update(groupId, { title, color: groupColor });
+    return { tabId, groupId, placement: applied };
+  } catch (error) {
+    // E.g. tabs in app or popup windows can't be grouped; the run still works in the tab
+    console.warn('Could not group the agent tab:', error);
+    return { tabId, groupId: null, placement: applied };
+  }
+}
+
+/**
+ * Opens a tab for a run next to the tab it is working in, without taking the user's focus.
+ * @param {string} url
+ * @param {{tabId: number, groupId?: number|null}} runTabs - The run's tabs (see performActionInTab).
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+async function openAgentTab(url, { tabId, groupId }) {
+  const current = await chrome.tabs.get(tabId).catch(() => null);
+  const tab = await chrome.tabs.create({
+    url,
+    active: false,
+    ...(current ? { windowId: current.windowId, index: current.index + 1 } : {}),
+  });
+  if (typeof groupId === 'number') {
+    await chrome.tabs.group({ tabIds: [tab.id], groupId }).catch(error => console.warn('Could not group the new agent tab:', error));
+  }
+  return tab;
+}
+
+/**
+ * Captures what a tab shows. A tab on screen is captured as the user sees it; a background tab
+ * or one in a minimized window is rendered through the debugger instead.
+ * @param {number} tabId
+ * @returns {Promise<string>} A JPEG data URL.
+ * @throws {Error} If the tab can't be captured, e.g. the debugger didn't answer in time.
+ */
+async function captureAgentTab(tabId) {
+  const isOnScreen = async () => {
+    const tab = await chrome.tabs.get(tabId);
+    const window = await chrome.windows.get(tab.windowId);
+    return tab.active && window.state !== 'minimized' ? tab : null;
+  };
+  const tab = await isOnScreen();
+  if (tab) {
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+    // The user may have switched tabs meanwhile, and then this shows their tab, not the agent's
+    if (await isOnScreen()) return dataUrl;
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`The tab didn't render a screenshot within ${CDP_CAPTURE_TIMEOUT_MS / 1000} seconds.`)), CDP_CAPTURE_TIMEOUT_MS);
+  });
+  try {
+    const { data } = await Promise.race([
+      sendCdpCommand(tabId, 'Page.captureScreenshot', { format: 'jpeg', quality: 80 }),
+      timeout,
+    ]);
+    return `data:image/jpeg;base64,${data}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -1,16 +1,28 @@
-// This file abstracts the raw fetch call to the Google Gemini API.
+// This file abstracts the raw fetch calls to the configured LLM provider.
+// Callers always build a Gemini-style payload ({contents, generationConfig});
+// each provider translates it into its own wire format and normalizes the response.
 
 const API_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const OPENAI_DEFAULT_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+
+const DEFAULT_LLM_CONFIG = {
+    provider: 'gemini', // 'gemini' | 'openai' | 'mock'
+    model: '', // Empty means the provider's default model
+    endpoint: '', // Empty means the provider's default endpoint
+    mockResponses: '', // JSON: { "planner": [...], "executor": [...], "replanner": [...], "merger": [...] }
+};
 
 /**
  * Calls the Gemini API to get a response.
  * @param {string} apiKey - The user's API key.
  * @param {object} requestBody - The full request body to send to the API.
+ * @param {string} [endpoint] - The generateContent URL to call.
  * @returns {Promise<object>} The JSON response from the API.
  * @throws {Error} If the API call fails.
  */
-async function callGemini(apiKey, requestBody) {
-    const url = `${API_ENDPOINT}`;
+async function callGemini(apiKey, requestBody, endpoint = API_ENDPOINT) {
+    const url = `${endpoint}`;
 
     try {
         const response = await fetch(url, {
@@ -18,7 +30,6 @@ async function callGemini(apiKey, requestBody) {
             headers: {
                 'Content-Type': 'application/json',
                 'x-goog-api-key': apiKey,
-                'Content-Type': 'application/json'
             },
             body: JSON.stringify(requestBody),
         });
@@ -35,4 +46,246 @@ async function callGemini(apiKey, requestBody) {
         // Re-throw the error to be caught by the calling function
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Calls an OpenAI-compatible chat-completions endpoint (OpenAI, vLLM, Ollama, llama.cpp, ...).
+ * @param {string} apiKey - Optional bearer token; self-hosted servers usually don't need one.
+ * @param {object} requestBody - The chat-completions request body.
+ * @param {string} endpoint - The full chat-completions URL.
+ * @returns {Promise<object>} The JSON response from the API.
+ * @throws {Error} If the API call fails.
+ */
+async function callOpenAiCompatible(apiKey, requestBody, endpoint) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(requestBody),
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error('API Error Response:', errorText);
+            let message = errorText;
+            try {
+                message = JSON.parse(errorText)?.error?.message || errorText;
+            } catch (e) {
+                // Not JSON, keep the raw text
+            }
+            throw new Error(`API Error: ${response.status} ${response.statusText}. ${message || ''}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        console.error('Failed to call OpenAI-compatible API:', error);
+        throw error;
+    }
+}
+
+/**
+ * Converts a Gemini response schema (uppercase types) into a standard JSON schema.
+ * @param {object} schema - The Gemini schema.
+ * @returns {object} The equivalent JSON schema.
+ */
+function toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = {};
+    if (schema.type) converted.type = String(schema.type).toLowerCase();
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = [...schema.enum];
+    if (schema.required) converted.required = [...schema.required];
+    if (schema.items) converted.items = toJsonSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = {};
+        Object.entries(schema.properties).forEach(([key, value]) => {
+            converted.properties[key] = toJsonSchema(value);
+        });
+    }
+    return converted;
+}
+
+/**
+ * Translates a Gemini-style payload into an OpenAI chat-completions request body.
+ * Text parts become text content, inline_data parts become data-URL image parts.
+ * @param {object} payload - The Gemini-style payload.
+ * @param {string} model - The model name to request.
+ * @param {string} purpose - 'planner' or 'executor', used as the schema name.
+ * @returns {object} The chat-completions request body.
+ */
+function toOpenAiRequest(payload, model, purpose) {
+    const messages = (payload.contents || []).map(content => ({
+        role: content.role === 'model' ? 'assistant' : 'user',
+        content: (content.parts || []).map(part => {
+            if (part.inline_data) {
+                return {
+                    type: 'image_url',
+                    image_url: { url: `data:${part.inline_data.mime_type};base64,${part.inline_data.data}` },
+                };
+            }
+            return { type: 'text', text: part.text };
+        }),
+    }));
+
+    const body = { model, messages };
+    const generationConfig = payload.generationConfig || {};
+    if (generationConfig.responseSchema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: purpose || 'response', schema: toJsonSchema(generationConfig.responseSchema) },
+        };
+    } else if (generationConfig.responseMimeType === 'application/json') {
+        body.response_format = { type: 'json_object' };
+    }
+    return body;
+}
+
+// Per-purpose replay position for the mock provider.
+const mockCursors = {};
+
+/** Rewinds the mock provider so the next call replays from the first canned response. */
+function resetMockProvider() {
+    Object.keys(mockCursors).forEach(key => delete mockCursors[key]);
+}
+
+/**
+ * Each provider exposes `generate(config, payload, purpose)` which resolves to
+ * a normalized response: { text, usage: {promptTokens, outputTokens, totalTokens}, raw }.
+ */
+const LLM_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash',
+        requiresApiKey: true,
+        generate: async (config, payload) => {
+            const model = config.model || LLM_PROVIDERS.gemini.defaultModel;
+            const endpoint = config.endpoint || `${GEMINI_API_BASE}/${model}:generateContent`;
+            const raw = await callGemini(config.apiKey, payload, endpoint);
+            const usage = raw.usageMetadata || {};
+            return {
+                text: raw.candidates?.[0]?.content?.parts?.[0]?.text,
+                usage: {
+                    promptTokens: usage.promptTokenCount || 0,
+                    outputTokens: usage.candidatesTokenCount || 0,
+                    totalTokens: usage.totalTokenCount || 0,
+                },
+                raw,
+            };
+        },
+    },
+
+    openai: {
+        label: 'OpenAI-compatible (hosted or local)',
+        defaultModel: 'gpt-4o-mini',
+        requiresApiKey: false,
+        generate: async (config, payload, purpose) => {
+            const body = toOpenAiRequest(payload, config.model || LLM_PROVIDERS.openai.defaultModel, purpose);
+            const raw = await callOpenAiCompatible(config.apiKey, body, config.endpoint || OPENAI_DEFAULT_ENDPOINT);
+            const usage = raw.usage || {};
+            return {
+                text: raw.choices?.[0]?.message?.content,
+                usage: {
+                    promptTokens: usage.prompt_tokens || 0,
+                    outputTokens: usage.completion_tokens || 0,
+                    totalTokens: usage.total_tokens || 0,
+                },
+                raw,
+            };
+        },
+    },
+
+    mock: {
+        label: 'Mock (replays canned responses)',
+        requiresApiKey: false,
+        generate: async (config, payload, purpose) => {
+            let responses;
+            try {
+                responses = JSON.parse(config.mockResponses || '{}');
+            } catch (error) {
+                throw new Error(`Mock responses are not valid JSON: ${error.message}`);
+            }
+            const queue = responses[purpose];
+            if (!Array.isArray(queue) || queue.length === 0) {
+                throw new Error(`No mock responses configured for "${purpose}".`);
+            }
+            // Replay in order; once exhausted, keep returning the last response.
+            const index = Math.min(mockCursors[purpose] || 0, queue.length - 1);
+            mockCursors[purpose] = index + 1;
+            const entry = queue[index];
+            return {
+                text: typeof entry === 'string' ? entry : JSON.stringify(entry),
+                usage: { promptTokens: 0, outputTokens: 0, totalTokens: 0 },
+                raw: entry,
+            };
+        },
+    },
+};
+
+/**
+ * Reads the LLM provider configuration saved from the Settings view.
+ * @returns {object} The provider config, without the API key (callModel reads it, see getApiKey).
+ */
+function getLlmConfig() {
+    return { ...DEFAULT_LLM_CONFIG, ...getSettingsSection('llm') };
+}
+
+/**
+ * Sends a Gemini-style payload to the configured provider.
+ * @param {object} config - The provider config (see getLlmConfig). The saved API key is used
+ *   unless the config has an `apiKey` of its own, e.g. one typed in Settings but not saved yet.
+ * @param {object} payload - The Gemini-style request payload.
+ * @param {string} purpose - 'planner' or 'executor'.
+ * @returns {Promise<{text: string, usage: object, raw: object}>} The normalized response.
+ * @throws {Error} If the provider is unknown, misconfigured or the call fails.
+ */
+async function callModel(config, payload, purpose) {
+    const provider = LLM_PROVIDERS[config.provider];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+    const apiKey = config.apiKey ?? await getApiKey();
+    if (provider.requiresApiKey && !apiKey) {
+        throw new Error('Subscription Key is not set. Please set it in Settings.');
+    }
+
+    const response = await provider.generate({ ...config, apiKey }, payload, purpose);
+    if (typeof response.text !== 'string' || !response.text) {
+        throw new Error(`Empty response received from ${provider.label}.`);
+    }
+    return response;
+}
+
+/**
+ * Checks a provider config with the cheapest call there is: a one-word prompt.
+ * @param {object} config - The provider config (see getLlmConfig), e.g. the unsaved values in Settings.
+ * @returns {Promise<string>} What to tell the user when it worked.
+ * @throws {Error} The provider's error when it didn't.
+ */
+async function testModelConnection(config) {
+    const provider = LLM_PROVIDERS[config.provider];
+    if (config.provider === 'mock') {
+        // Nothing to connect to; the canned responses are all there is to check
+        validateSettings({ llm: config });
+        return `${provider.label}: the canned responses are valid.`;
+    }
+    const response = await callModel(config, {
+        contents: [{ parts: [{ text: 'Reply with the single word OK.' }] }],
+    }, 'test');
+    return `Connected to ${provider.label} (${config.model || provider.defaultModel}), ${response.usage.totalTokens} tokens used.`;
+}
+
+/**
+ * Parses the JSON text returned by a model. Self-hosted models sometimes wrap
+ * their output in a ```json fence even when asked for raw JSON, so strip it first.
+ * @param {string} text - The raw response text.
+ * @returns {object} The parsed object.
+ */
+function parseModelJson(text) {
+    const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return JSON.parse(fenced ? fenced[1] : text);
+}
@@ -1,19 +1,361 @@
-// filepath: /agent_extension/agent_extension/js/background.js
+// This service worker hosts the agent's runs so they survive the side panel being closed or
+// navigated. The side panel only subscribes to their state over a runtime port.
+importScripts(
+  'settings.js',
+  'api.js',
+  'run_history.js',
+  'run_budget.js',
+  'planner_helper.js',
+  'agent_logic.js',
+  'dom_json_generator.js',
+  'dom_compactor.js',
+  'screenshot_annotator.js',
+  'cdp_input.js',
+  'agent_tab.js',
+  'action_policy.js',
+  'navigation_policy.js',
+  'injection_guard.js',
+  'vault.js',
+  'data_extraction.js',
+  'recipes.js',
+  'schedules.js',
+  'agent_api_helper.js',
+  'emulator.js',
+  'agent_orcestrator.js',
+  'run_manager.js',
+);
+
+const RUN_PORT_NAME = 'agent-run';
+const RUN_STORAGE_KEY = 'agentRuns';
+const KEEP_ALIVE_INTERVAL_MS = 25000;
+
+const runManager = new RunManager(); // Hosts every run, see run_manager.js
+let keepAliveTimer = null;
+const ports = new Set();
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Agent Extension installed.');
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
+  // Updating the extension drops its alarms
+  syncScheduleAlarms().catch(error => console.error('Failed to restore schedules:', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncScheduleAlarms().catch(error => console.error('Failed to restore schedules:', error));
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Message received in background:', message);
 
   if (message.action === 'checkSubscriptionKey') {
-    const subscriptionKey = localStorage.getItem('subscriptionKey');
-    if (subscriptionKey) {
-      sendResponse({ valid: true });
-    } else {
-      sendResponse({ valid: false });
-    }
+    settingsReady.then(getApiKey).then(apiKey => sendResponse({ valid: Boolean(apiKey) }));
   }
   return true;
-});
\ No newline at end of file
+});
+
+// --- Run persistence ---
+
+/**
+ * Restores the checkpointed runs after the service worker was restarted.
+ * Runs that were executing when the worker died pick up where they left off.
+ * Resolves once, however many times it is awaited.
+ */
+const runRestored = (async () => {
+  const { [RUN_STORAGE_KEY]: snapshot } = await chrome.storage.session.get(RUN_STORAGE_KEY);
+  runManager.onChange = handleRunChange;
+  if (snapshot) runManager.restore(snapshot);
+})();
+
+/** Saves the hosted runs so they can be restored if the worker is terminated. */
+async function checkpointRuns() {
+  if (runManager.runs.size > 0) {
+    await chrome.storage.session.set({ [RUN_STORAGE_KEY]: runManager.toSnapshot() });
+  } else {
+    await chrome.storage.session.remove(RUN_STORAGE_KEY);
+  }
+}
+
+/**
+ * Chrome terminates idle service workers after ~30 seconds, and a slow model call
+ * doesn't count as activity. Ping an extension API while a run is active.
+ */
+function updateKeepAlive(isRunning) {
+  if (isRunning && !keepAliveTimer) {
+    keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), KEEP_ALIVE_INTERVAL_MS);
+  } else if (!isRunning && keepAliveTimer) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+}
+
+// --- Side panel connection ---
+
+function postToPanels(message) {
+  ports.forEach((port) => port.postMessage(message));
+}
+
+function getRunListMessage() {
+  return { type: 'runs', runs: runManager.listRuns(), groups: runManager.listGroups() };
+}
+
+/**
+ * Pushes a change to the open side panels: the state of the run that changed, if any, and
+ * the list of runs (whose statuses and groups change with it).
+ * @param {AgentOrchestrator|null} run
+ */
+function handleRunChange(run) {
+  updateKeepAlive(runManager.isBusy());
+  if (run) postToPanels({ type: 'state', runId: run.state.runId, state: run.state });
+  postToPanels(getRunListMessage());
+  checkpointRuns().catch((error) => console.error('Failed to checkpoint runs:', error));
+  if (run?.options.schedule) {
+    reportScheduledRun(run).catch((error) => console.error('Failed to report scheduled run:', error));
+  }
+}
+
+/**
+ * Handles a command sent by a side panel. Commands other than 'start' and 'startGroup' name
+ * the run they are for.
+ * @param {{type: string, runId?: string, plan?: string[], options?: object, goal?: string, parts?: object[], stepOrigins?: number[], confirmSteps?: number[]}} message
+ * @param {chrome.runtime.Port} port - The panel that sent it; told which run it started.
+ */
+async function handlePanelMessage(message, port) {
+  await runRestored;
+  const run = runManager.getRun(message.runId);
+
+  switch (message.type) {
+    case 'start': {
+      const started = runManager.start(new AgentOrchestrator(message.plan, message.options));
+      port.postMessage({ type: 'started', runId: started.state.runId });
+      break;
+    }
+    case 'startGroup': {
+      const group = await runManager.startGroup(message.goal, message.parts, message.options);
+      port.postMessage({ type: 'started', runId: group.runIds[0] });
+      break;
+    }
+    case 'pause':
+      run?.pause();
+      break;
+    case 'resume':
+      run?.resume();
+      break;
+    case 'stop':
+      run?.stop();
+      break;
+    case 'resolveReplan':
+      run?.resolveReplan(Boolean(message.approved));
+      break;
+    case 'resolveApproval':
+      run?.resolveApproval(Boolean(message.approved));
+      break;
+    case 'resolveStepConfirmation':
+      run?.resolveStepConfirmation(Boolean(message.approved));
+      break;
+    case 'resolveQuestion':
+      run?.resolveQuestion(Array.isArray(message.answers) ? message.answers : null);
+      break;
+    case 'editPlan':
+      if (!run) throw new Error('The run has been dismissed, so its plan can\'t be changed.');
+      run.editPlan(message.plan, message.stepOrigins, message.confirmSteps);
+      port.postMessage({ type: 'planEdited', runId: message.runId });
+      break;
+    case 'retry': {
+      const retried = runManager.retry(message.runId);
+      if (retried) port.postMessage({ type: 'started', runId: retried.state.runId });
+      break;
+    }
+    case 'dismiss':
+      // Discard the run (stopping it first if it is still going)
+      runManager.dismiss(message.runId);
+      break;
+    default:
+      console.warn('Unknown run command:', message.type);
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== RUN_PORT_NAME) return;
+
+  ports.add(port);
+  port.onDisconnect.addListener(() => ports.delete(port));
+  port.onMessage.addListener((message) => {
+    handlePanelMessage(message, port).catch((error) => {
+      console.error('Failed to handle run command:', error);
+      port.postMessage({ type: 'error', message: error.message });
+    });
+  });
+
+  // Send the live runs straight away so a reopened panel can pick them up
+  runRestored.then(() => {
+    runManager.runs.forEach(run => port.postMessage({ type: 'state', runId: run.state.runId, state: run.state }));
+    port.postMessage(getRunListMessage());
+  });
+});
+
+// --- Scheduled runs ---
+
+const notifiedPauses = new Set(); // `${runId}:${pausedAt}` of pauses already notified
+const reportedRunIds = new Set();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+  runSchedule(alarm.name.substring(SCHEDULE_ALARM_PREFIX.length))
+    .catch((error) => console.error('Failed to run schedule:', error));
+});
+
+// Clicking a scheduled run's notification brings up its tab
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [prefix, tabId] = notificationId.split(':');
+  if (prefix !== 'schedule' || !tabId) return;
+  chrome.tabs.get(Number(tabId)).then((tab) => {
+    chrome.tabs.update(tab.id, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+  }).catch(() => {}); // The tab was closed
+  chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Shows a desktop notification about a scheduled run.
+ * @param {string} title
+ * @param {string} message
+ * @param {number} [tabId] - The run's tab, brought up when the notification is clicked.
+ */
+function notifyScheduledRun(title, message, tabId) {
+  chrome.notifications.create(`schedule:${tabId || ''}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('img/icon.png'),
+    title,
+    message: message || '',
+  });
+}
+
+/**
+ * Turns a schedule into the plan and options of a run. Goals are planned now, on the run's
+ * tab; plans and recipes run as saved.
+ * @param {object} schedule - See saveSchedule.
+ * @param {number} tabId - The tab the run will work in.
+ * @returns {Promise<{plan: string[], options: object}>}
+ * @throws {Error} If planning fails or the recipe is gone or no longer accepts the values.
+ */
+async function prepareScheduledRun(schedule, tabId) {
+  const { target } = schedule;
+  if (target.kind === 'recipe') {
+    const recipe = (await getRecipes()).find(item => item.id === target.recipeId);
+    if (!recipe) throw new Error(`The recipe "${target.recipeName}" was deleted.`);
+    const filled = fillRecipe(recipe, validateRecipeValues(recipe, target.values || {}));
+    return {
+      plan: filled.plan,
+      options: {
+        goal: filled.goal,
+        outputSchema: filled.outputSchema,
+        loops: filled.loops,
+        startUrl: filled.startUrl || undefined,
+        recipe: { id: recipe.id, name: recipe.name },
+      },
+    };
+  }
+  if (target.kind === 'plan') {
+    return { plan: target.plan, options: { goal: target.goal, outputSchema: target.outputSchema, loops: target.loops } };
+  }
+  const { plan, loops, usage } = await agentData.getPlan(target.goal, target.outputSchema, tabId);
+  return { plan, options: { goal: target.goal, outputSchema: target.outputSchema, loops, plannerUsage: usage } };
+}
+
+/**
+ * Opens the tab a scheduled run starts in, in the background so it doesn't interrupt the user
+ * (in a new window if none is open). The run then places it like any other (see bindAgentTab).
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+async function openScheduledRunTab() {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  if (windows.length === 0) {
+    const window = await chrome.windows.create({ url: 'about:blank', focused: false });
+    return window.tabs[0];
+  }
+  return chrome.tabs.create({ url: 'about:blank', active: false });
+}
+
+/**
+ * Runs a schedule whose alarm went off, without the side panel: opens a tab for it, starts
+ * the run and moves the schedule on to its next time.
+ * @param {string} scheduleId
+ */
+async function runSchedule(scheduleId) {
+  await Promise.all([runRestored, settingsReady]);
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule?.enabled) return;
+
+  const scheduledFor = schedule.nextRunAt || Date.now();
+  // One-off schedules are done after this; recurring ones move on to their next time
+  const recordRun = lastRun => updateSchedule(scheduleId, {
+    enabled: schedule.when.type === 'recurring',
+    lastRun: { at: scheduledFor, ...lastRun },
+  });
+
+  // Only so many runs go at once
+  const skipIfBusy = async () => {
+    if (runManager.canStart()) return false;
+    const message = `Skipped because ${MAX_CONCURRENT_RUNS} other runs were in progress.`;
+    await recordRun({ status: 'Skipped', message });
+    notifyScheduledRun(`Scheduled run skipped: ${schedule.name}`, message);
+    return true;
+  };
+  if (await skipIfBusy()) return;
+
+  let tab = null;
+  try {
+    tab = await openScheduledRunTab();
+    const { plan, options } = await prepareScheduledRun(schedule, tab.id);
+    // Runs may have been started from the side panel while the goal was being planned
+    if (await skipIfBusy()) {
+      await chrome.tabs.remove(tab.id);
+      return;
+    }
+    const run = new AgentOrchestrator(plan, {
+      ...getRunSettings(),
+      ...options,
+      tabId: tab.id,
+      schedule: { id: schedule.id, name: schedule.name, scheduledFor },
+    });
+    await recordRun({ status: 'Running', runId: run.state.runId });
+    runManager.start(run);
+  } catch (error) {
+    await recordRun({ status: 'Failed', message: error.message });
+    notifyScheduledRun(`Scheduled run failed: ${schedule.name}`, error.message, tab?.id);
+  }
+}
+
+/**
+ * Tells the user how a scheduled run is doing: once each time it waits for them, and once when
+ * it ends, also recording the outcome on its schedule.
+ * @param {AgentOrchestrator} run
+ */
+async function reportScheduledRun(run) {
+  const { schedule } = run.options;
+  const { state } = run;
+  const lastLog = state.logs.subStep.flat().slice(-1)[0]?.name || '';
+
+  if (state.isRunning && state.isPaused) {
+    // A pause from the open side panel needs no notification, but an approval or hand-over does
+    const pauseKey = `${state.runId}:${state.pausedAt}`;
+    if (notifiedPauses.has(pauseKey) || (ports.size > 0 && !state.pendingDecision)) return;
+    notifiedPauses.add(pauseKey);
+    notifyScheduledRun(`Scheduled run needs you: ${schedule.name}`, lastLog, state.tabId);
+    return;
+  }
+  if (state.isRunning || !state.endedAt || reportedRunIds.has(state.runId)) return;
+  reportedRunIds.add(state.runId);
+
+  // Recorded once, even if the worker restarted and reports the same run again
+  const stored = await getSchedule(schedule.id);
+  if (stored?.lastRun?.runId === state.runId && stored.lastRun.status !== 'Running') return;
+  const { status } = run.toRunRecord();
+  const message = state.stopReason || lastLog;
+  if (stored) {
+    await updateSchedule(schedule.id, {
+      lastRun: { at: schedule.scheduledFor, runId: state.runId, status, message },
+    });
+  }
+  notifyScheduledRun(`Scheduled run ${status.toLowerCase()}: ${schedule.name}`, message, state.tabId);
+}
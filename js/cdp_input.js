@@ -0,0 +1,206 @@
+/**
+ * This library produces trusted input (isTrusted: true) through the Chrome DevTools Protocol.
+ * Sites that ignore synthetic DOM events (React-controlled inputs, bot-protected forms,
+ * canvas apps) still react to it, since to the page it is indistinguishable from a real user.
+ */
+
+const CDP_PROTOCOL_VERSION = '1.3';
+
+const DEFAULT_INPUT_SETTINGS = {
+  backend: 'synthetic', // 'synthetic' | 'cdp' | 'auto' (synthetic first, trusted input if the page never got the events)
+  cdpSites: [], // Host patterns that always use trusted input, e.g. 'salesforce.com'
+};
+
+// CDP modifier bit flags
+const CDP_MODIFIERS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+// Keys that need more than their character to be dispatched correctly
+const CDP_SPECIAL_KEYS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  ' ': { code: 'Space', keyCode: 32, text: ' ' },
+};
+
+const attachedTabs = new Set();
+
+chrome.debugger.onDetach.addListener((source) => {
+  // The user dismissed the debugging infobar, or the tab went away
+  attachedTabs.delete(source.tabId);
+});
+
+/**
+ * Reads the input backend settings saved from the Settings view.
+ * @returns {{backend: string, cdpSites: string[]}}
+ */
+function getInputSettings() {
+  return { ...DEFAULT_INPUT_SETTINGS, ...getSettingsSection('input') };
+}
+
+/**
+ * Picks the input backend for a page: per-site overrides win over the global choice.
+ * @param {{backend: string, cdpSites: string[]}} settings
+ * @param {string} url - The page the action will run on.
+ * @returns {'synthetic'|'cdp'|'auto'}
+ */
+function resolveInputBackend(settings, url) {
+  const { backend, cdpSites } = { ...DEFAULT_INPUT_SETTINGS, ...settings };
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch (e) {
+    return backend;
+  }
+  const forced = cdpSites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+  return forced ? 'cdp' : backend;
+}
+
+async function ensureDebuggerAttached(tabId) {
+  if (attachedTabs.has(tabId)) return;
+  try {
+    await chrome.debugger.attach({ tabId }, CDP_PROTOCOL_VERSION);
+  } catch (error) {
+    // Already attached by us in an earlier worker lifetime is fine; anything else isn't
+    if (!/already attached/i.test(error.message)) throw error;
+  }
+  attachedTabs.add(tabId);
+}
+
+/**
+ * Detaches from a run's tabs (shown to the user as a debugging infobar), leaving the tabs of
+ * other runs attached. Also detaches tabs attached in an earlier worker lifetime.
+ * @param {number[]} tabIds
+ */
+async function detachDebuggers(tabIds) {
+  tabIds.forEach(tabId => attachedTabs.delete(tabId));
+  await Promise.all(tabIds.map(tabId => chrome.debugger.detach({ tabId }).catch(() => { })));
+}
+
+async function sendCdpCommand(tabId, method, params = {}) {
+  await ensureDebuggerAttached(tabId);
+  return chrome.debugger.sendCommand({ tabId }, method, params);
+}
+
+function toCdpModifiers(modifiers = []) {
+  return modifiers.reduce((flags, modifier) => flags | (CDP_MODIFIERS[modifier] || 0), 0);
+}
+
+/**
+ * Clicks at a point of the top-level viewport with a trusted mouse.
+ * @param {number} tabId
+ * @param {number} x - CSS pixels from the viewport's left edge.
+ * @param {number} y - CSS pixels from the viewport's top edge.
+ */
+async function cdpClickAt(tabId, x, y) {
+  const point = { x: Math.round(x), y: Math.round(y) };
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', ...point });
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mousePressed', ...point, button: 'left', clickCount: 1 });
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseReleased', ...point, button: 'left', clickCount: 1 });
+}
+
+/**
+ * Presses and releases a key (optionally with modifiers) in whatever has focus.
+ * @param {number} tabId
+ * @param {string} key - A KeyboardEvent.key value, e.g. 'Enter', 'Escape', 'a'.
+ * @param {string[]} [modifiers] - Any of 'Alt', 'Control', 'Meta', 'Shift'.
+ */
+async function cdpKeyPress(tabId, key, modifiers = []) {
+  const special = CDP_SPECIAL_KEYS[key];
+  const isCharacter = !special && key.length === 1;
+  const definition = special || {
+    code: isCharacter && /[a-z]/i.test(key) ? `Key${key.toUpperCase()}` : key,
+    keyCode: isCharacter ? key.toUpperCase().charCodeAt(0) : 0,
+    text: isCharacter ? key : undefined,
+  };
+  const flags = toCdpModifiers(modifiers);
+  // Shortcuts (Ctrl+A, ...) must not also type their character
+  const text = flags & (CDP_MODIFIERS.Control | CDP_MODIFIERS.Meta | CDP_MODIFIERS.Alt) ? undefined : definition.text;
+  const params = {
+    key,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    nativeVirtualKeyCode: definition.keyCode,
+    modifiers: flags,
+  };
+  await sendCdpCommand(tabId, 'Input.dispatchKeyEvent', { type: text ? 'keyDown' : 'rawKeyDown', ...params, text });
+  await sendCdpCommand(tabId, 'Input.dispatchKeyEvent', { type: 'keyUp', ...params });
+}
+
+/**
+ * Types text into whatever has focus, as if it came from an IME. Fires real input events.
+ * @param {number} tabId
+ * @param {string} text
+ */
+async function cdpInsertText(tabId, text) {
+  await sendCdpCommand(tabId, 'Input.insertText', { text });
+}
+
+/**
+ * Moves the trusted mouse to a point without clicking, which opens hover menus and tooltips.
+ * @param {number} tabId
+ * @param {number} x - CSS pixels from the viewport's left edge.
+ * @param {number} y - CSS pixels from the viewport's top edge.
+ */
+async function cdpMoveMouse(tabId, x, y) {
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x: Math.round(x), y: Math.round(y) });
+}
+
+/**
+ * Presses the mouse at one point, moves it to another in small steps and releases it there.
+ * @param {number} tabId
+ * @param {{x: number, y: number}} from - Top-level viewport CSS pixels.
+ * @param {{x: number, y: number}} to - Top-level viewport CSS pixels.
+ */
+async function cdpDrag(tabId, from, to) {
+  const steps = 10; // Intermediate moves, so drag handlers see a gesture rather than a jump
+  await cdpMoveMouse(tabId, from.x, from.y);
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mousePressed', x: Math.round(from.x), y: Math.round(from.y), button: 'left', clickCount: 1 });
+  for (let i = 1; i <= steps; i++) {
+    await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', {
+      type: 'mouseMoved',
+      x: Math.round(from.x + (to.x - from.x) * i / steps),
+      y: Math.round(from.y + (to.y - from.y) * i / steps),
+      button: 'left',
+      buttons: 1,
+    });
+  }
+  await sendCdpCommand(tabId, 'Input.dispatchMouseEvent', { type: 'mouseReleased', x: Math.round(to.x), y: Math.round(to.y), button: 'left', clickCount: 1 });
+}
+
+/**
+ * Focuses a field by clicking it and deletes its content with trusted input.
+ * @param {number} tabId
+ * @param {{x: number, y: number}} point - The field's center in top-level viewport CSS pixels.
+ */
+async function cdpClearAt(tabId, point) {
+  await cdpClickAt(tabId, point.x, point.y);
+  // Select everything in the field and delete it (Meta on macOS, Control elsewhere)
+  const { os } = await chrome.runtime.getPlatformInfo();
+  await cdpKeyPress(tabId, 'a', [os === 'mac' ? 'Meta' : 'Control']);
+  await cdpKeyPress(tabId, 'Backspace');
+}
+
+/**
+ * Focuses a field by clicking it, clears it and types into it with trusted input.
+ * @param {number} tabId
+ * @param {{x: number, y: number}} point - The field's center in top-level viewport CSS pixels.
+ * @param {string} text
+ * @param {boolean} andEnter - Whether to press Enter afterwards.
+ */
+async function cdpTypeAt(tabId, point, text, andEnter) {
+  await cdpClearAt(tabId, point);
+  await cdpInsertText(tabId, text);
+  if (andEnter) {
+    await cdpKeyPress(tabId, 'Enter');
+  }
+}
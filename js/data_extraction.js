@@ -0,0 +1,162 @@
+/**
+ * This library turns the "output schema" the user gives with a goal into the fields the
+ * executor fills with EXTRACT actions, collects the extracted rows and exports them as CSV or JSON.
+ * It is loaded by both the background worker (which collects rows) and the side panel (which shows them).
+ */
+
+// JSON schema types -> the schema types used in model payloads
+const SCHEMA_TYPE_MAP = { string: 'STRING', number: 'NUMBER', integer: 'NUMBER', boolean: 'BOOLEAN' };
+
+/**
+ * Parses what the user typed into the output schema field. A JSON schema (of an object or of
+ * an array of objects), a JSON list of column names or an example row define the fields;
+ * plain text is kept as a description and the executor picks the field names itself.
+ * @param {string} input - The raw text of the output schema field.
+ * @returns {{description: string, fields: Array<{name: string, type: string, description?: string}>}|null}
+ *   The output schema, or null when the field is empty.
+ * @throws {Error} If the input is JSON that doesn't describe rows.
+ */
+function parseOutputSchema(input) {
+  const text = (input || '').trim();
+  if (!text) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { description: text, fields: [] };
+  }
+
+  if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(item => typeof item === 'string')) {
+    return { description: '', fields: parsed.map(name => ({ name, type: 'STRING' })) };
+  }
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    const objectSchema = parsed.type === 'array' ? parsed.items : parsed;
+    if (objectSchema?.properties) {
+      return {
+        description: parsed.description || objectSchema.description || '',
+        fields: Object.entries(objectSchema.properties).map(([name, property]) => {
+          const field = { name, type: SCHEMA_TYPE_MAP[property?.type] || 'STRING' };
+          if (property?.description) field.description = property.description;
+          return field;
+        }),
+      };
+    }
+    if (Object.keys(parsed).length > 0) {
+      // An example row: its keys are the fields, its values hint at the types
+      return {
+        description: '',
+        fields: Object.entries(parsed).map(([name, value]) => ({ name, type: SCHEMA_TYPE_MAP[typeof value] || 'STRING' })),
+      };
+    }
+  }
+  throw new Error('Paste a JSON schema, a list of column names or an example row, or describe the data in words.');
+}
+
+/**
+ * Builds the schema of the executor's `data.rows` for an output schema. Without known
+ * fields, each row is requested as a JSON-encoded string since the schema can't be open-ended.
+ * @param {{fields: object[]}} outputSchema
+ * @returns {object} An ARRAY schema.
+ */
+function buildRowsSchema(outputSchema) {
+  if (outputSchema.fields.length === 0) {
+    return { type: 'ARRAY', items: { type: 'STRING' } };
+  }
+  const properties = {};
+  outputSchema.fields.forEach((field) => {
+    properties[field.name] = { type: field.type };
+  });
+  return { type: 'ARRAY', items: { type: 'OBJECT', properties } };
+}
+
+/**
+ * Turns the executor's `data.rows` into plain row objects limited to the schema's fields.
+ * @param {Array<object|string>} rawRows
+ * @param {{fields: object[]}} outputSchema
+ * @returns {object[]}
+ */
+function normalizeExtractedRows(rawRows, outputSchema) {
+  if (!Array.isArray(rawRows)) return [];
+  return rawRows.map((row) => {
+    if (typeof row === 'string') {
+      try {
+        row = JSON.parse(row);
+      } catch (e) {
+        return { value: row };
+      }
+    }
+    if (!row || typeof row !== 'object') return null;
+    if (outputSchema.fields.length === 0) return row;
+    const normalized = {};
+    outputSchema.fields.forEach((field) => {
+      normalized[field.name] = row[field.name] ?? '';
+    });
+    return normalized;
+  }).filter(row => row && Object.values(row).some(value => value !== ''));
+}
+
+/**
+ * Appends rows to those collected so far, skipping exact duplicates (the same item
+ * extracted again after scrolling or revisiting a page).
+ * @param {object[]} existingRows
+ * @param {object[]} newRows
+ * @returns {{rows: object[], added: number}}
+ */
+function mergeExtractedRows(existingRows, newRows) {
+  const seen = new Set(existingRows.map(row => JSON.stringify(row)));
+  const rows = [...existingRows];
+  newRows.forEach((row) => {
+    const key = JSON.stringify(row);
+    if (seen.has(key)) return;
+    seen.add(key);
+    rows.push(row);
+  });
+  return { rows, added: rows.length - existingRows.length };
+}
+
+/**
+ * The table columns: the schema's fields, or every key seen in the rows, in order of appearance.
+ * @param {object[]} rows
+ * @param {{fields: object[]}|null} outputSchema
+ * @returns {string[]}
+ */
+function getExtractionColumns(rows, outputSchema) {
+  if (outputSchema && outputSchema.fields.length > 0) {
+    return outputSchema.fields.map(field => field.name);
+  }
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach((key) => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return columns;
+}
+
+function formatCsvValue(value) {
+  let text = value === null || value === undefined ? ''
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Scraped text must not turn into a spreadsheet formula
+  if (/^[=+@\t\r]/.test(text) || /^-[^\d.]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows as CSV with a header line.
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function rowsToCsv(rows, columns) {
+  const lines = [columns.map(formatCsvValue).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvValue(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serializes rows as a pretty-printed JSON array.
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function rowsToJson(rows) {
+  return JSON.stringify(rows, null, 2);
+}
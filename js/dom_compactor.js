@@ -0,0 +1,266 @@
+/**
+ * This library shrinks the DOM DTO produced by generateDomAndSelectorMap before it is
+ * sent to the executor. Wrapper chains are collapsed, repeated text is dropped, and only
+ * interactive elements, the landmarks and headings around them and (budget permitting)
+ * text blocks are kept. Whatever still doesn't fit the token budget is replaced by
+ * region placeholders the executor can ask to expand.
+ */
+
+const DEFAULT_COMPACTION_SETTINGS = {
+  enabled: true,
+  tokenBudget: 8000,
+};
+
+const LANDMARK_TAGS = ['header', 'nav', 'main', 'footer', 'aside', 'form', 'dialog', 'table', 'ul', 'ol'];
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'form', 'search',
+  'dialog', 'alertdialog', 'region', 'menu', 'menubar', 'listbox', 'tablist', 'grid', 'list'];
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Reads the compaction settings saved from the Settings view.
+ * @returns {{enabled: boolean, tokenBudget: number}}
+ */
+function getCompactionSettings() {
+  return { ...DEFAULT_COMPACTION_SETTINGS, ...getSettingsSection('compaction') };
+}
+
+// Share of the budget an explicitly expanded region may take.
+const EXPANDED_REGION_SHARE = 0.6;
+
+/**
+ * Rough token estimate for a JSON-serializable value (~4 characters per token).
+ * @param {*} value
+ * @returns {number}
+ */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value ?? '').length / 4);
+}
+
+function countNodes(nodes) {
+  return (nodes || []).reduce((total, node) => total + 1 + countNodes(node.children), 0);
+}
+
+function isLandmark(element) {
+  return LANDMARK_TAGS.includes(element.tag) || LANDMARK_ROLES.includes(element.attributes?.role);
+}
+
+/**
+ * Collapses one element DTO into zero or more compact nodes.
+ * @param {object} element - An element DTO from scrapePageInTab.
+ * @param {{seenTexts: Set<string>, textBlocks: Set<object>}} context - Texts already emitted
+ *   (for de-duplication) and the text-block nodes created so far (the first to go when over budget).
+ * @returns {object[]} Compact nodes replacing the element.
+ */
+function compactElement(element, context) {
+  const { seenTexts, textBlocks } = context;
+  const children = (element.children || []).flatMap(child => compactElement(child, context));
+  const isHeading = HEADING_TAGS.includes(element.tag);
+  const text = (element.innerText || '').replace(/\s+/g, ' ').trim();
+
+  if (element.isInteractive || isHeading) {
+    const { class: _, ...attributes } = element.attributes || {};
+    const node = { id: element.id, tag: element.tag };
+    if (Object.keys(attributes).length > 0) node.attributes = attributes;
+    if (text) {
+      node.text = text.substring(0, 100);
+      seenTexts.add(node.text);
+    }
+    if (element.value !== undefined) node.value = element.value;
+    if (element.isDisabled) node.isDisabled = true;
+    if (element.isInteractive) node.interactive = true;
+    if (element.mark) node.mark = element.mark;
+    // Children of a small control (a link's icon or label span) add nothing the text doesn't say.
+    const interactiveChildren = children.filter(child => child.interactive || child.children);
+    if (interactiveChildren.length > 0) node.children = interactiveChildren;
+    return [node];
+  }
+
+  if (isLandmark(element) && children.some(child => child.interactive || child.children)) {
+    const node = { id: element.id, tag: element.tag, children };
+    const label = element.attributes?.['aria-label'] || element.attributes?.role;
+    if (label) node.label = label;
+    return [node];
+  }
+
+  if (children.length > 0) return children; // A plain wrapper: keep only what's inside
+
+  // A leaf text block (paragraph, price, result snippet). Kept at the lowest priority.
+  const snippet = text.substring(0, 200);
+  if (!snippet || seenTexts.has(snippet)) return [];
+  seenTexts.add(snippet);
+  const node = { id: element.id, tag: element.tag, text: snippet };
+  textBlocks.add(node);
+  return [node];
+}
+
+/** Removes text blocks from the end of the tree first until the nodes fit the budget. */
+function dropTextBlocks(nodes, budget, textBlocks) {
+  const ordered = [];
+  const collect = (list) => list.forEach((node) => {
+    if (textBlocks.has(node)) ordered.push(node);
+    if (node.children) collect(node.children);
+  });
+  collect(nodes);
+
+  const removed = new Set();
+  let tokens = estimateTokens(nodes);
+  for (let i = ordered.length - 1; i >= 0 && tokens > budget; i--) {
+    removed.add(ordered[i]);
+    tokens -= estimateTokens(ordered[i]);
+  }
+
+  const prune = (list) => list
+    .filter(node => !removed.has(node))
+    .map(node => (node.children ? { ...node, children: prune(node.children) } : node));
+  return prune(nodes);
+}
+
+const ROOT_REGION = 'root';
+// Don't open up a node that doesn't leave room for at least a few of its children.
+const MIN_REGION_TOKENS = 60;
+
+/**
+ * Greedily keeps nodes in document order while they fit. A node that doesn't fit is kept
+ * as a shell with its children fitted recursively if there is room; otherwise it and all of
+ * its following siblings become one region placeholder, `<parentId>+<index>`.
+ * @param {object[]} nodes
+ * @param {number} budget - Tokens available.
+ * @param {object[]} omittedRegions - Collects the placeholders that were emitted.
+ * @param {string} parentId - Id of the node owning `nodes` (ROOT_REGION at the top).
+ * @param {number} indexOffset - Index of `nodes[0]` among the owner's children.
+ * @returns {{nodes: object[], tokens: number}}
+ */
+function fitToBudget(nodes, budget, omittedRegions, parentId = ROOT_REGION, indexOffset = 0) {
+  const kept = [];
+  let used = 2; // The surrounding brackets
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    const cost = estimateTokens(node) + 1;
+    if (used + cost <= budget) {
+      kept.push(node);
+      used += cost;
+      continue;
+    }
+    const { children, ...shell } = node;
+    const shellCost = estimateTokens(shell) + 4;
+    if (children && children.length > 0 && budget - used > shellCost + MIN_REGION_TOKENS) {
+      const fitted = fitToBudget(children, budget - used - shellCost, omittedRegions, node.id);
+      kept.push({ ...shell, children: fitted.nodes });
+      used += shellCost + fitted.tokens;
+      continue;
+    }
+
+    const rest = nodes.slice(i);
+    const firstLabel = rest.map(item => item.label || item.text).find(Boolean);
+    const placeholder = {
+      region: `${parentId}+${indexOffset + i}`,
+      truncated: true,
+      omittedElements: countNodes(rest),
+    };
+    if (firstLabel) placeholder.startsWith = firstLabel.substring(0, 60);
+    omittedRegions.push(placeholder);
+    kept.push(placeholder);
+    used += estimateTokens(placeholder);
+    break;
+  }
+  return { nodes: kept, tokens: used };
+}
+
+function findNode(nodes, id) {
+  for (const node of nodes || []) {
+    if (node.id === id) return node;
+    const found = findNode(node.children, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Takes a region (a placeholder's `<parentId>+<index>` or a plain element id) out of the tree.
+ * @returns {{region: object|null, nodes: object[]}} The region's nodes and the tree with an
+ *   `expanded` marker where the region used to be.
+ */
+function extractRegion(nodes, regionId) {
+  const [parentId, offsetText] = regionId.split('+');
+  const offset = offsetText === undefined ? null : Number(offsetText);
+  const marker = { region: regionId, expanded: true };
+
+  if (offset === null) {
+    const node = findNode(nodes, regionId);
+    if (!node) return { region: null, nodes };
+    const replace = list => list.map(item => (item === node ? marker
+      : item.children ? { ...item, children: replace(item.children) } : item));
+    return { region: node, nodes: replace(nodes) };
+  }
+
+  const owner = parentId === ROOT_REGION ? { children: nodes } : findNode(nodes, parentId);
+  if (!owner || !owner.children || Number.isNaN(offset) || offset >= owner.children.length) {
+    return { region: null, nodes };
+  }
+  const region = { region: regionId, children: owner.children.slice(offset) };
+  const trimmed = [...owner.children.slice(0, offset), marker];
+  if (parentId === ROOT_REGION) return { region, nodes: trimmed };
+
+  const replace = list => list.map(item => (item === owner ? { ...item, children: trimmed }
+    : item.children ? { ...item, children: replace(item.children) } : item));
+  return { region, nodes: replace(nodes) };
+}
+
+/**
+ * Compacts a page DTO to fit a token budget.
+ * @param {object} domDto - The DTO from generateDomAndSelectorMap.
+ * @param {{tokenBudget?: number, expandRegionId?: string}} [options]
+ *   `expandRegionId` is a placeholder's region (or an element id) the executor asked to see.
+ * @returns {{domDto: object, truncated: boolean, omittedRegions: object[], metrics: object}}
+ */
+function compactDom(domDto, { tokenBudget = DEFAULT_COMPACTION_SETTINGS.tokenBudget, expandRegionId = null } = {}) {
+  const beforeTokens = estimateTokens(domDto);
+  const beforeElements = countNodes(domDto?.elements) +
+    (domDto?.frames || []).reduce((total, frame) => total + countNodes(frame.elements), 0);
+
+  const context = { seenTexts: new Set(), textBlocks: new Set() };
+  // Frames become top-level regions of their own
+  let nodes = (domDto?.elements || []).flatMap(element => compactElement(element, context));
+  (domDto?.frames || []).forEach((frame) => {
+    const children = frame.elements.flatMap(element => compactElement(element, context));
+    if (children.length > 0) nodes.push({ id: `f${frame.frameId}:`, tag: 'iframe', label: frame.url, children });
+  });
+
+  const header = { url: domDto?.url, meta: domDto?.meta };
+  // The coordinate space for CLICK_AT
+  if (domDto?.viewport) header.viewport = { width: domDto.viewport.width, height: domDto.viewport.height };
+  const budget = Math.max(500, tokenBudget - estimateTokens(header));
+  const omittedRegions = [];
+  let expandedRegion = null;
+
+  nodes = dropTextBlocks(nodes, budget, context.textBlocks);
+  let remainingBudget = budget;
+  if (expandRegionId) {
+    const extracted = extractRegion(nodes, expandRegionId);
+    if (extracted.region) {
+      const regionBudget = Math.floor(budget * EXPANDED_REGION_SHARE);
+      const [parentId, offset = 0] = extracted.region.id ? [extracted.region.id] : expandRegionId.split('+');
+      const fitted = fitToBudget(extracted.region.children || [extracted.region], regionBudget, omittedRegions,
+        parentId, Number(offset));
+      expandedRegion = { region: expandRegionId, children: fitted.nodes };
+      remainingBudget -= fitted.tokens;
+      nodes = extracted.nodes;
+    }
+  }
+  nodes = fitToBudget(nodes, remainingBudget, omittedRegions).nodes;
+
+  const compacted = { ...header, elements: nodes };
+  if (expandedRegion) compacted.expandedRegion = expandedRegion;
+
+  return {
+    domDto: compacted,
+    truncated: omittedRegions.length > 0,
+    omittedRegions,
+    metrics: {
+      beforeTokens,
+      afterTokens: estimateTokens(compacted),
+      beforeElements,
+      afterElements: countNodes(nodes) + countNodes(expandedRegion?.children),
+    },
+  };
+}
@@ -1,14 +1,87 @@
 /**
- * This script is injected into the active tab to scrape its DOM content.
+ * This script is injected into the agent's tab to scrape its DOM content.
  */
 
+/**
+ * Injects the scraper into every frame of the tab. If some frame refuses the injection,
+ * falls back to the top frame so the agent still sees the main page.
+ * @param {number} tabId
+ * @returns {Promise<Array<{frameId: number, result: object}>>} One result per frame.
+ */
+async function injectScraper(tabId) {
+  const inject = async (target) => {
+    // The locator helpers and the scraper both run in the isolated world so the page can't tamper with them.
+    await chrome.scripting.executeScript({ target, files: ['js/page_locator.js'] });
+    return chrome.scripting.executeScript({ target, function: scrapePageInTab });
+  };
+  try {
+    return await inject({ tabId, allFrames: true });
+  } catch (error) {
+    console.warn('Could not scrape all frames, falling back to the top frame:', error);
+    return inject({ tabId });
+  }
+}
+
+/**
+ * Combines per-frame scrape results into one DTO and one selector map.
+ * Element ids from child frames are prefixed with `f<frameId>:` and every
+ * selector map entry remembers the frame it belongs to.
+ * @param {Array<{frameId: number, result: object}>} injectionResults
+ * @returns {{domDto: object, selectorMap: object}|null}
+ */
+function mergeFrameResults(injectionResults) {
+  const top = injectionResults.find(frame => frame.frameId === 0 && frame.result);
+  if (!top) return null;
+
+  const selectorMap = {};
+  Object.entries(top.result.selectorMap).forEach(([id, target]) => {
+    selectorMap[id] = { ...target, frameId: 0 };
+  });
+
+  const prefixIds = (elements, prefix) => elements.map(element => ({
+    ...element,
+    id: `${prefix}${element.id}`,
+    children: prefixIds(element.children || [], prefix),
+  }));
+
+  const frames = injectionResults
+    .filter(frame => frame.frameId !== 0 && frame.result && frame.result.domDto.elements.length > 0)
+    .map(frame => {
+      const prefix = `f${frame.frameId}:`;
+      Object.entries(frame.result.selectorMap).forEach(([id, target]) => {
+        selectorMap[`${prefix}${id}`] = { ...target, frameId: frame.frameId };
+      });
+      return {
+        frameId: frame.frameId,
+        viewport: frame.result.domDto.viewport,
+        url: frame.result.domDto.url,
+        title: frame.result.domDto.meta.title,
+        elements: prefixIds(frame.result.domDto.elements, prefix),
+      };
+    });
+
+  const domDto = { ...top.result.domDto };
+  if (frames.length > 0) domDto.frames = frames;
+  // The prompt-injection scan looks at unseen text from every frame
+  injectionResults.filter(frame => frame.frameId !== 0 && frame.result).forEach(({ result }) => {
+    domDto.concealedText = [...(domDto.concealedText || []), ...(result.domDto.concealedText || [])];
+    domDto.hiddenText = [...(domDto.hiddenText || []), ...(result.domDto.hiddenText || [])];
+  });
+  return { domDto, selectorMap };
+}
+
 /**
  * Main function to generate the simplified DOM JSON and the selector map.
+ * Each selector map entry is a target: {selector, locator, fingerprint, shadowHosts, frameId}
+ * (see page_locator.js). Open shadow roots and child frames are included.
+ * @param {{tabId: number, annotate?: boolean}} options - `tabId` is the run's tab (see bindAgentTab),
+ *   read even when it is in the background. With `annotate`, visible interactive elements get a
+ *   numbered `mark` and matching numbered boxes are drawn on the screenshot (set-of-marks).
  * @returns {{domDto: object, selectorMap: object}} An object containing both the DTO and the map.
  */
-async function generateDomAndSelectorMap() {
+async function generateDomAndSelectorMap({ tabId, annotate = false }) {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
 
     let screenshotDataUrl = '';
     let screenShotError = '';
@@ -16,50 +89,74 @@ async function generateDomAndSelectorMap() {
     let pageData =  null;
     // --- Validation Checks ---
     if (!tab || !tab.id) {
-      throw new Error("Could not find an active tab.");
+      throw new Error("The agent's tab was closed.");
     }
     if (tab.status !== 'complete') {
-      console.error("The active tab is not fully loaded. Please wait and try again.");
+      console.error("The agent's tab is not fully loaded. Please wait and try again.");
     }
     if (tab.url.startsWith('chrome://') || tab.url.startsWith('https://chromewebstore.google.com')) {
-      // We cannot script internal chrome pages or the webstore for security reasons.
-      await chrome.tabs.create({ url: 'https://duckduckgo.com' });
+      // We cannot script internal chrome pages or the webstore for security reasons. Tell the
+      // executor instead of opening a site on its behalf, so where it goes stays subject to the navigation policy.
+      return {
+        hasMarks: false,
+        domDto: undefined,
+        selectorMap: {},
+        screenshot: undefined,
+        screenShotError: '',
+        domJsonError: `The current tab (${tab.url}) is a browser page that can't be read or controlled. Use NAVIGATE to open a website.`,
+      };
     }
 
     // --- Main Logic ---
     // 1. Capture the screenshot
     try {
-      screenshotDataUrl = await chrome.tabs.captureVisibleTab({
-        format: 'jpeg',
-        quality: 80
-      });
+      screenshotDataUrl = await captureAgentTab(tab.id);
     } catch (error) {
       console.error("Error capturing screenshot:", error);
       screenShotError = error.message || "Unknown error capturing screenshot.";
     }
 
     try {
-      // 2. Execute the content script and await its result directly
-      const injectionResults = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        function: scrapePageInTab,
-        world: 'MAIN', // Execute in the main world to bypass some CSP restrictions
-      });
+      // 2. Execute the content script in every frame and await the results directly
+      const injectionResults = await injectScraper(tab.id);
 
-      if (!injectionResults || !injectionResults[0] || !injectionResults[0].result) {
+      // 3. Process results and return the final object
+      pageData = injectionResults ? mergeFrameResults(injectionResults) : null;
+      if (!pageData) {
         console.error("No valid result returned from the content script.");
         domJsonError = "No valid result returned from the content script.";
       }
 
-      // 3. Process results and return the final object
-      pageData = injectionResults?.[0]?.result;
-
     } catch (error) {
       console.error("Error during script injection:", error);
       domJsonError = error.message || "Unknown error during script injection.";
     }
     base64Screenshot = screenshotDataUrl.split(',')[1];
+    if (pageData && base64Screenshot) {
+      // Black out filled secret fields before the screenshot goes anywhere
+      const redactedBoxes = findRedactedBoxes(pageData.domDto);
+      try {
+        if (!redactedBoxes) throw new Error('A filled secret field is in a frame whose position is unknown.');
+        base64Screenshot = await redactScreenshot(base64Screenshot, redactedBoxes, pageData.domDto.viewport);
+      } catch (error) {
+        console.error("Error redacting screenshot:", error);
+        base64Screenshot = undefined;
+        screenShotError = 'The screenshot was withheld because secret fields could not be masked.';
+      }
+    }
+    let marks = [];
+    if (annotate && pageData && base64Screenshot) {
+      marks = assignScreenshotMarks(pageData.domDto);
+      try {
+        base64Screenshot = await annotateScreenshot(base64Screenshot, marks, pageData.domDto.viewport);
+      } catch (error) {
+        console.error("Error annotating screenshot:", error);
+        marks.forEach(({ element }) => delete element.mark);
+        marks = [];
+      }
+    }
     return {
+      hasMarks: marks.length > 0,
       domDto: pageData?.domDto,
       selectorMap: pageData?.selectorMap??{},
       screenshot: base64Screenshot,
@@ -91,15 +188,62 @@ function scrapePageInTab() {
     return style.display !== 'none' && style.visibility !== 'hidden' && el.getClientRects().length > 0;
   }
 
+  const INTERACTIVE_TAGS = ['a', 'button', 'input', 'select', 'textarea', 'summary', 'option', 'label'];
+  const INTERACTIVE_ROLES = ['button', 'link', 'checkbox', 'radio', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'switch', 'textbox', 'combobox', 'searchbox', 'slider', 'spinbutton', 'treeitem'];
+
+  /**
+ * Checks if the user can interact with an element (click, type, select...).
+ * A pointer cursor only counts where it starts, so a clickable card doesn't mark all of its descendants.
+ * @param {HTMLElement} el The element to check.
+ * @returns {boolean} True if the element is interactive.
+ */
+  function isElementInteractive(el) {
+    const tagName = el.tagName.toLowerCase();
+    if (INTERACTIVE_TAGS.includes(tagName)) {
+      return !(tagName === 'input' && el.type === 'hidden') && !(tagName === 'a' && !el.hasAttribute('href'));
+    }
+    if (INTERACTIVE_ROLES.includes(el.getAttribute('role'))) return true;
+    if (el.isContentEditable && !el.parentElement?.isContentEditable) return true;
+    if (el.hasAttribute('onclick') || (el.hasAttribute('tabindex') && el.tabIndex >= 0)) return true;
+    return getComputedStyle(el).cursor === 'pointer'
+      && (!el.parentElement || getComputedStyle(el.parentElement).cursor !== 'pointer');
+  }
+
+  /**
+ * Why an element that counts as visible still can't be seen, if it can't. Pages hide
+ * text meant for a model by making it transparent, tiny, clipped or placing it off-screen.
+ * @param {HTMLElement} el The element to check.
+ * @returns {string|null} 'transparent', 'zero-size', 'clipped', 'off-screen' or null.
+ */
+  function getConcealment(el) {
+    const style = getComputedStyle(el);
+    if (parseFloat(style.opacity) === 0) return 'transparent';
+    if (parseFloat(style.fontSize) < 2) return 'zero-size';
+    const rect = el.getBoundingClientRect();
+    if ((rect.width < 2 || rect.height < 2) && style.overflow !== 'visible') return 'zero-size';
+    if (/rect\(0(px)?,? 0(px)?,? 0(px)?,? 0(px)?\)/.test(style.clip) || style.clipPath === 'inset(50%)') return 'clipped';
+    if (rect.right + window.scrollX < 0 || rect.bottom + window.scrollY < 0
+      || rect.left + window.scrollX > document.documentElement.scrollWidth) return 'off-screen';
+    return null;
+  }
+
+  // Text kept out of the page state, for the prompt-injection scan (see scanPageForInjection)
+  const MAX_UNSEEN_TEXT_ENTRIES = 50;
+  const concealedText = []; // {reason, text} of visible elements whose text can't be seen
+  const hiddenText = []; // {reason, text} of hidden elements under a visible parent
+
   /**
  * Recursively parses a DOM node and its children into the specified DTO format.
  * @param {HTMLElement} node The DOM node to parse.
  * @param {string} parentId The unique ID of the parent element.
  * @param {string} parentSelector The CSS selector of the parent element.
- * @param {object} selectorMap A map to store uniqueId -> selector mappings.
+ * @param {object} selectorMap A map to store uniqueId -> {selector, locator, fingerprint, shadowHosts} targets.
+ * @param {Array} shadowHosts Targets of the shadow hosts enclosing `node`, outermost first.
+ * @param {string|null} concealedBy Why `node` can't be seen, when it or an ancestor is concealed.
  * @returns {Array} An array of child element DTOs.
  */
-  function parseNodeChildren(node, parentId, parentSelector, selectorMap) {
+  function parseNodeChildren(node, parentId, parentSelector, selectorMap, shadowHosts = [], concealedBy = null) {
     const children = [];
     if (!node.children) return children;
 
@@ -112,10 +256,33 @@ function scrapePageInTab() {
         continue;
       }
 
+      // Text the user can't see is only there for a model to read: keep it out of the page state.
+      // The concealed element and its descendants stay, marked and without their text, so the
+      // controls inside (e.g. a transparent checkbox under a styled label) can still be used.
+      const isVisible = isElementVisible(child);
+      const concealment = concealedBy || (isVisible ? getConcealment(child) : null);
+      const ownText = concealment || !isVisible ? (child.innerText || '').trim() : '';
+      // The text of a concealed subtree is recorded once, at its top
+      if (concealment && !concealedBy && ownText && concealedText.length < MAX_UNSEEN_TEXT_ENTRIES) {
+        concealedText.push({ reason: concealment, text: ownText.substring(0, 300) });
+      }
+      if (!isVisible && !concealedBy && ownText && hiddenText.length < MAX_UNSEEN_TEXT_ENTRIES && isElementVisible(child.parentElement)) {
+        hiddenText.push({ reason: 'hidden', text: ownText.substring(0, 300) });
+      }
+
       const uniqueId = `${parentId}${i}_`;
-      // Generate a robust CSS selector using its position relative to siblings
-      const currentSelector = `${parentSelector} > :nth-child(${i + 1})`;
-      selectorMap[uniqueId] = currentSelector;
+      // The positional CSS path is only a last resort; the emulator prefers the locator bundle
+      // and refuses to act if the fingerprint of what it finds doesn't match.
+      // Inside a shadow root there is no parent to anchor on, so the path starts at the root's children.
+      const currentSelector = parentSelector
+        ? `${parentSelector} > :nth-child(${i + 1})`
+        : `:nth-child(${i + 1})`;
+      selectorMap[uniqueId] = {
+        selector: currentSelector,
+        locator: agentPageLocator.buildLocator(child),
+        fingerprint: agentPageLocator.computeFingerprint(child),
+        shadowHosts,
+      };
 
       const attributes = {};
       // Get useful attributes to help the AI understand the element
@@ -130,30 +297,235 @@ function scrapePageInTab() {
         id: uniqueId,
         attributes: attributes,
         isDisabled: child.disabled || false,
-        isVisible: isElementVisible(child),
-        children: parseNodeChildren(child, uniqueId, currentSelector, selectorMap),
-        innerText: child.innerText ? child.innerText.trim().substring(0, 200) : '',
+        isVisible,
+        isInteractive: isElementInteractive(child),
+        rect: undefined,
+        children: parseNodeChildren(child, uniqueId, currentSelector, selectorMap, shadowHosts, concealment),
+        innerText: child.innerText && !concealment ? child.innerText.trim().substring(0, 200) : '',
         value: child.value ? String(child.value).substring(0, 200) : undefined
       };
+      // Never read out passwords or values typed from the vault, only that the field is filled
+      if (elementDto.value && (child.type === 'password' || child.hasAttribute('data-agent-vault'))) {
+        elementDto.value = undefined;
+        elementDto.redacted = true;
+      }
+
+      // Interactive elements carry their viewport rect (CSS px) for screenshot annotation
+      if (elementDto.isInteractive && elementDto.isVisible) {
+        const box = child.getBoundingClientRect();
+        elementDto.rect = {
+          x: Math.round(box.left),
+          y: Math.round(box.top),
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        };
+      }
+
+      if (concealment) elementDto.concealed = concealment;
 
       // Clean up undefined properties to keep the DTO clean
       if (elementDto.value === undefined) {
         delete elementDto.value;
       }
+      if (elementDto.rect === undefined) {
+        delete elementDto.rect;
+      }
+
+      // Descend into open shadow roots; their ids carry an `s` marker after the host id.
+      if (child.shadowRoot) {
+        const { shadowHosts: _, ...hostTarget } = selectorMap[uniqueId];
+        elementDto.children.push(
+          ...parseNodeChildren(child.shadowRoot, `${uniqueId}s`, '', selectorMap, [...shadowHosts, hostTarget], concealment)
+        );
+      }
 
       if (elementDto.isVisible) children.push(elementDto);
     }
     return children;
   }
 
+  /**
+ * Offset of this frame's viewport inside the top-level viewport, or null when an
+ * ancestor frame is cross-origin and the offset can't be known.
+ */
+  function getFrameOffset() {
+    let x = 0;
+    let y = 0;
+    let win = window;
+    try {
+      while (win !== win.top) {
+        const frameBox = win.frameElement.getBoundingClientRect();
+        x += frameBox.left + win.frameElement.clientLeft;
+        y += frameBox.top + win.frameElement.clientTop;
+        win = win.parent;
+      }
+    } catch (e) {
+      return null;
+    }
+    return { x: Math.round(x), y: Math.round(y) };
+  }
+
   const selectorMap = {};
   const domDto = {
     url: window.location.href,
     meta: {
       title: document.title,
     },
-    // The key part: `document.body` here is the webpage's body.
-    elements: parseNodeChildren(document.body, '', 'body', selectorMap),
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      frameOffset: getFrameOffset(),
+    },
+    // The key part: `document.body` here is the webpage's (or the frame's) body.
+    elements: document.body ? parseNodeChildren(document.body, '', 'body', selectorMap) : [],
   };
+  domDto.concealedText = concealedText;
+  domDto.hiddenText = hiddenText;
   return { domDto, selectorMap };
 }
+
+// --- DTO lookup helpers (run in the extension, not in the page) ---
+
+// Attributes that survive re-renders, in the order they are trusted when re-resolving targets.
+const STABLE_ATTRIBUTES = ['id', 'aria-label', 'name', 'placeholder', 'title', 'alt'];
+
+/**
+ * Walks every element in a DOM DTO, depth first.
+ * @param {object} domDto - The DTO produced by scrapePageInTab.
+ * @param {function(object): void} visit - Called with each element DTO.
+ */
+function forEachDomElement(domDto, visit) {
+  const walk = (elements) => (elements || []).forEach((element) => {
+    visit(element);
+    walk(element.children);
+  });
+  walk(domDto?.elements);
+  (domDto?.frames || []).forEach(frame => walk(frame.elements));
+}
+
+/**
+ * Finds an element DTO by its scraped id.
+ * @param {object} domDto
+ * @param {string} elementId
+ * @returns {object|null}
+ */
+function findDomElementById(domDto, elementId) {
+  let found = null;
+  forEachDomElement(domDto, (element) => {
+    if (!found && element.id === elementId) found = element;
+  });
+  return found;
+}
+
+/**
+ * Captures the position-independent traits of an element so it can be found again later.
+ * @param {object} element - An element DTO.
+ * @returns {{tag: string, role?: string, text: string, attributes: object}|null}
+ */
+function describeDomElement(element) {
+  if (!element) return null;
+  const attributes = {};
+  STABLE_ATTRIBUTES.forEach((attr) => {
+    if (element.attributes?.[attr]) attributes[attr] = element.attributes[attr];
+  });
+  return {
+    tag: element.tag,
+    role: element.attributes?.role,
+    text: (element.innerText || '').substring(0, 80),
+    attributes,
+  };
+}
+
+/**
+ * Scores how well an element DTO matches a recorded descriptor. Zero means no match.
+ * The role only counts when something more specific (an attribute or the text) also matches.
+ */
+function scoreDescriptorMatch(element, descriptor) {
+  if (!element || element.tag !== descriptor.tag) return 0;
+  let score = 0;
+  Object.entries(descriptor.attributes || {}).forEach(([attr, value]) => {
+    if (element.attributes?.[attr] === value) score += 3;
+  });
+  if (descriptor.text && (element.innerText || '').substring(0, 80) === descriptor.text) score += 3;
+  if (score > 0 && descriptor.role && element.attributes?.role === descriptor.role) score += 1;
+  return score;
+}
+
+/**
+ * Re-resolves a recorded target on the current page. The recorded id is kept while
+ * the element behind it still matches; otherwise the best unambiguous match by
+ * stable attributes and text is used.
+ * @param {object} domDto - The current page DTO.
+ * @param {string} recordedId - The element id at record time.
+ * @param {object|null} descriptor - The descriptor from describeDomElement at record time.
+ * @returns {string|null} The element id to act on, or null if the target can't be found.
+ */
+function resolveRecordedElementId(domDto, recordedId, descriptor) {
+  const sameId = findDomElementById(domDto, recordedId);
+  if (!descriptor) return sameId ? recordedId : null;
+  if (scoreDescriptorMatch(sameId, descriptor) > 0) return recordedId;
+
+  let best = null;
+  let bestScore = 0;
+  let isAmbiguous = false;
+  forEachDomElement(domDto, (element) => {
+    const score = scoreDescriptorMatch(element, descriptor);
+    if (score > bestScore) {
+      best = element;
+      bestScore = score;
+      isAmbiguous = false;
+    } else if (score > 0 && score === bestScore) {
+      isAmbiguous = true;
+    }
+  });
+  return best && !isAmbiguous ? best.id : null;
+}
+
+/**
+ * Boxes of the filled fields the scraper redacted (see scrapePageInTab), in top-level viewport
+ * CSS pixels, so they can be blacked out on the screenshot.
+ * @param {object} domDto - The merged page DTO.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>|null} Null when a
+ *   redacted field is in a frame with an unknown offset and can't be placed.
+ */
+function findRedactedBoxes(domDto) {
+  const boxes = [];
+  let unplaced = false;
+  const visit = (offset) => (element) => {
+    if (!element.redacted || !element.rect) return;
+    if (!offset) {
+      unplaced = true;
+      return;
+    }
+    boxes.push({ x: element.rect.x + offset.x, y: element.rect.y + offset.y, width: element.rect.width, height: element.rect.height });
+  };
+  forEachDomElement({ elements: domDto.elements }, visit({ x: 0, y: 0 }));
+  (domDto.frames || []).forEach((frame) => {
+    forEachDomElement({ elements: frame.elements }, visit(frame.viewport?.frameOffset));
+  });
+  return unplaced ? null : boxes;
+}
+
+/**
+ * Numbers the interactive elements that are visible in the top-level viewport, in document order.
+ * Each numbered element DTO gets a `mark`; elements in frames with an unknown offset are skipped.
+ * @param {object} domDto - The merged page DTO.
+ * @returns {Array<{mark: number, element: object, box: {x: number, y: number, width: number, height: number}}>}
+ */
+function assignScreenshotMarks(domDto) {
+  const marks = [];
+  const { width, height } = domDto.viewport;
+  const visit = (offset) => (element) => {
+    const rect = element.rect;
+    if (!element.isInteractive || !rect || rect.width < 2 || rect.height < 2) return;
+    const box = { x: rect.x + offset.x, y: rect.y + offset.y, width: rect.width, height: rect.height };
+    if (box.x + box.width <= 0 || box.y + box.height <= 0 || box.x >= width || box.y >= height) return;
+    element.mark = marks.length + 1;
+    marks.push({ mark: element.mark, element, box });
+  };
+  forEachDomElement({ elements: domDto.elements }, visit({ x: 0, y: 0 }));
+  (domDto.frames || []).forEach((frame) => {
+    if (frame.viewport?.frameOffset) forEachDomElement({ elements: frame.elements }, visit(frame.viewport.frameOffset));
+  });
+  return marks;
+}
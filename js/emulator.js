@@ -37,17 +37,294 @@ function waitForTabLoad(tabId) {
 }
 
 /**
- * Executes a given action on the currently active tab.
- * @param {{type: string, selector?: string, text?: string, url?: string}} action - The action object.
- * @returns {Promise<{success: boolean, message: string}>} A promise that resolves with the result.
+ * Lists the run's tabs that are still open, for the executor to switch between.
+ * @param {{tabId: number, tabIds: number[]}} runTabs - The run's tabs (see performActionInTab).
+ * @returns {Promise<Array<{id: number, title: string, url: string, active: boolean}>>} `active`
+ *   marks the tab the agent is working in.
  */
-async function performActionInTab(action) {
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tabs || tabs.length === 0) {
-        return { success: false, message: 'No active tab found.' };
+async function getOpenTabs({ tabId, tabIds }) {
+    const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+    return tabs.filter(Boolean).map(tab => ({ id: tab.id, title: tab.title || '', url: tab.url || '', active: tab.id === tabId }));
+}
+
+/**
+ * Finds an action's target in its frame, scrolls it into view and returns its center
+ * in top-level viewport coordinates, which is what trusted (CDP) input needs.
+ * @param {number} tabId
+ * @param {object} target - The selector map entry.
+ * @param {{scroll?: boolean, focus?: boolean}} [options] - Whether to scroll the element
+ *   into view first, and whether to give it keyboard focus.
+ * @returns {Promise<{success: boolean, point?: {x: number, y: number}, message?: string}>}
+ */
+async function locateTargetInTab(tabId, target, { scroll = true, focus = false } = {}) {
+    const injectionTarget = { tabId: tabId, frameIds: [target?.frameId ?? 0] };
+    await chrome.scripting.executeScript({
+        target: injectionTarget,
+        files: ['js/page_locator.js'],
+    });
+    const results = await chrome.scripting.executeScript({
+        target: injectionTarget,
+        args: [target, scroll, focus],
+        func: async (target, scroll, focus) => {
+            const { element, error } = agentPageLocator.resolveTarget(target);
+            if (!element) return { success: false, message: error };
+
+            if (scroll) {
+                element.scrollIntoView({ block: 'center', inline: 'center' });
+                await new Promise(resolve => setTimeout(resolve, 100)); // Let the page settle after scrolling
+            }
+            if (focus) element.focus();
+            const rect = element.getBoundingClientRect();
+            let x = rect.left + rect.width / 2;
+            let y = rect.top + rect.height / 2;
+            // Add the offset of every enclosing frame; only possible while they are same-origin
+            try {
+                let win = window;
+                while (win !== win.top) {
+                    const frameRect = win.frameElement.getBoundingClientRect();
+                    x += frameRect.left + win.frameElement.clientLeft;
+                    y += frameRect.top + win.frameElement.clientTop;
+                    win = win.parent;
+                }
+            } catch (e) {
+                return { success: false, message: 'The element is inside a cross-origin frame, so its screen position is unknown.' };
+            }
+            return { success: true, point: { x, y } };
+        },
+    });
+    return results?.[0]?.result || { success: false, message: 'Locate script did not return a result.' };
+}
+
+/**
+ * Reads what the approval and navigation policies need to know about an action's target: its
+ * label, the link it follows, whether it submits a form, where to and what fields that form holds.
+ * @param {object} action - See performActionInTab; uses `target`, or `x`/`y` for CLICK_AT.
+ * @param {number} tabId - The tab the action runs in.
+ * @returns {Promise<object|null>} The facts (see classifyAction), or null when the action
+ *   has no target or the target can't be found.
+ */
+async function inspectActionTarget(action, tabId) {
+    const hasPoint = Number.isFinite(action.x) && Number.isFinite(action.y);
+    if (!action.target && !hasPoint) return null;
+
+    const injectionTarget = { tabId, frameIds: [action.target?.frameId ?? 0] };
+    try {
+        if (action.target) {
+            await chrome.scripting.executeScript({ target: injectionTarget, files: ['js/page_locator.js'] });
+        }
+        const results = await chrome.scripting.executeScript({
+            target: injectionTarget,
+            args: [action.target || null, hasPoint ? action.x : null, hasPoint ? action.y : null],
+            func: (target, x, y) => {
+                const element = target ? agentPageLocator.resolveTarget(target).element : document.elementFromPoint(x, y);
+                if (!element) return null;
+                // Clicks often land on an icon or span inside the actual control
+                const control = element.closest('button, a[href], input, select, textarea, [role="button"], [role="link"]') || element;
+                const tag = control.tagName.toLowerCase();
+                const type = (control.getAttribute('type') || '').toLowerCase();
+                const form = control.form || control.closest('form');
+                const fields = form ? [...form.querySelectorAll('input, select, textarea')] : [];
+                const isPaymentField = field => /^cc-/.test(field.getAttribute('autocomplete') || '')
+                    || /card.?num|cc.?num|cvv|cvc|card.?code|expir|iban/i.test(`${field.name} ${field.id}`);
+
+                const rect = control.getBoundingClientRect();
+                let offsetX = 0;
+                let offsetY = 0;
+                try {
+                    let win = window;
+                    while (win !== win.top) {
+                        const frameRect = win.frameElement.getBoundingClientRect();
+                        offsetX += frameRect.left + win.frameElement.clientLeft;
+                        offsetY += frameRect.top + win.frameElement.clientTop;
+                        win = win.parent;
+                    }
+                } catch (e) {
+                    // Cross-origin frame: the rect is only known relative to the frame
+                }
+                return {
+                    tag,
+                    type,
+                    label: (control.getAttribute('aria-label') || control.innerText || control.value || control.title || '')
+                        .trim().replace(/\s+/g, ' ').substring(0, 100),
+                    href: control.closest('a[href]')?.href || null,
+                    isSubmit: (tag === 'button' && (type === '' || type === 'submit') && !!form)
+                        || (tag === 'input' && ['submit', 'image'].includes(type)),
+                    inForm: !!form,
+                    formHasPassword: fields.some(field => field.type === 'password'),
+                    formHasPayment: fields.some(isPaymentField),
+                    formAction: form ? (control.hasAttribute('formaction') ? control.formAction : form.action) : null,
+                    // Top-level viewport coordinates, for highlighting the target on the screenshot
+                    rect: { x: rect.left + offsetX, y: rect.top + offsetY, width: rect.width, height: rect.height },
+                };
+            },
+        });
+        return results?.[0]?.result || null;
+    } catch (error) {
+        console.warn('Could not inspect the action target:', error);
+        return null;
+    }
+}
+
+/**
+ * Types text that references the vault: the placeholders are swapped for their values only
+ * here, at type time, and the field is marked so the scraper and screenshots never show it.
+ * Entries bound to an origin are checked against the frame the field is in, not the top page,
+ * so a third-party iframe never gets them.
+ * @param {object} runTabs - See performActionInTab.
+ * @param {string} pageUrl - The top-level page of the tab typed into.
+ * @param {object} action - A TYPE or TYPE_AND_ENTER action whose text holds placeholders.
+ * @returns {Promise<{success: boolean, message: string}>} The result, with the secrets masked.
+ */
+async function typeVaultSecret(runTabs, pageUrl, action) {
+    // Without a target the text would go to whatever has focus, in whichever frame that is
+    if (!action.target) {
+        return { success: false, message: 'A vault value can only be typed into a field given by its id.' };
+    }
+    const frameId = action.target.frameId ?? 0;
+    const frame = frameId === 0
+        ? { url: pageUrl }
+        : await chrome.webNavigation.getFrame({ tabId: runTabs.tabId, frameId }).catch(() => null);
+    if (!frame?.url) {
+        return { success: false, message: 'Could not tell which page the field is in, so the vault value was not typed.' };
+    }
+
+    let resolved;
+    try {
+        resolved = await resolveVaultPlaceholders(action.text, frame.url);
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+    try {
+        const injectionTarget = { tabId: runTabs.tabId, frameIds: [frameId] };
+        await chrome.scripting.executeScript({ target: injectionTarget, files: ['js/page_locator.js'] });
+        await chrome.scripting.executeScript({
+            target: injectionTarget,
+            args: [action.target],
+            func: (target) => {
+                agentPageLocator.resolveTarget(target).element?.setAttribute('data-agent-vault', '');
+            },
+        });
+    } catch (error) {
+        return { success: false, message: `Could not prepare the field for a vault value: ${error.message}` };
+    }
+    const result = await performActionInTab({ ...action, text: resolved.text }, runTabs);
+    return { ...result, message: redactSecrets(result.message, resolved.secrets) };
+}
+
+/**
+ * Performs an action with trusted input through the Chrome DevTools Protocol.
+ * @param {number} tabId
+ * @param {object} action - See performActionInTab.
+ * @returns {Promise<{success: boolean, message: string}|null>} The result, or null when
+ *   the action has no trusted equivalent (it then goes through the synthetic path).
+ */
+async function performTrustedAction(tabId, action) {
+    switch (action.type) {
+        case 'CLICK_AT':
+            await cdpClickAt(tabId, action.x, action.y);
+            return { success: true, message: `Clicked at (${Math.round(action.x)}, ${Math.round(action.y)}) with trusted input.` };
+
+        case 'PRESS_KEY': {
+            if (action.target) {
+                const located = await locateTargetInTab(tabId, action.target, { scroll: false, focus: true });
+                if (!located.success) return located;
+            }
+            await cdpKeyPress(tabId, action.key, action.modifiers);
+            return { success: true, message: `Pressed '${describeKeyCombo(action.key, action.modifiers)}' with trusted input.` };
+        }
+
+        case 'CLICK':
+        case 'CHECK':
+        case 'UNCHECK':
+        case 'HOVER':
+        case 'CLEAR':
+        case 'TYPE':
+        case 'TYPE_AND_ENTER': {
+            const located = await locateTargetInTab(tabId, action.target);
+            if (!located.success) return located;
+            const { point } = located;
+            if (action.type === 'HOVER') {
+                await cdpMoveMouse(tabId, point.x, point.y);
+            } else if (action.type === 'CLEAR') {
+                await cdpClearAt(tabId, point);
+            } else if (action.type.startsWith('TYPE')) {
+                await cdpTypeAt(tabId, point, action.text, action.type === 'TYPE_AND_ENTER');
+            } else {
+                await cdpClickAt(tabId, point.x, point.y);
+            }
+            return { success: true, message: `Action '${action.type}' performed with trusted input on '${action.target.selector}'.` };
+        }
+
+        case 'DRAG': {
+            const source = await locateTargetInTab(tabId, action.target);
+            if (!source.success) return source;
+            let to;
+            if (action.destination) {
+                // Don't scroll again, or the source would move away from where it was measured
+                const destination = await locateTargetInTab(tabId, action.destination, { scroll: false });
+                if (!destination.success) return { success: false, message: `Drop target: ${destination.message}` };
+                to = destination.point;
+            } else {
+                to = { x: source.point.x + (action.x || 0), y: source.point.y + (action.y || 0) };
+            }
+            await cdpDrag(tabId, source.point, to);
+            return { success: true, message: `Dragged '${action.target.selector}' with trusted input.` };
+        }
+
+        default:
+            return null;
+    }
+}
+
+function describeKeyCombo(key, modifiers = []) {
+    return [...modifiers, key].join('+');
+}
+
+// Actions that are never repeated with trusted input: a second key press may submit twice
+const NO_TRUSTED_RETRY_ACTIONS = ['PRESS_KEY', 'TYPE_AND_ENTER'];
+
+/**
+ * Whether an action the page blocked may be repeated with trusted input. Anything that could
+ * submit, navigate or trip the approval policy is left alone, so it never happens twice.
+ * @param {object} action - See performActionInTab.
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+async function canRetryWithTrustedInput(action, tabId) {
+    if (NO_TRUSTED_RETRY_ACTIONS.includes(action.type)) return false;
+    const facts = await inspectActionTarget(action, tabId);
+    if (!facts || facts.isSubmit || facts.href) return false;
+    const reasons = classifyAction({ action: action.type, data: { text: action.text, key: action.key } }, action.pageUrl, facts);
+    return reasons.length === 0;
+}
+
+/**
+ * Executes a given action in the run's current tab, whether or not the user is looking at it.
+ * @param {{type: string, target?: {selector: string, locator: object, fingerprint: string, shadowHosts?: object[], frameId?: number}, text?: string, url?: string, x?: number, y?: number, key?: string, modifiers?: string[], direction?: string, destination?: object, tabId?: number, inputBackend?: string}} action
+ *   The action object. `target` is the selector map entry for the element to act on,
+ *   including the frame and the shadow hosts it lives in; `destination` is the entry of the
+ *   element a DRAG drops onto (otherwise `x`/`y` is the drag offset). `inputBackend` picks how input
+ *   is produced: 'synthetic' DOM events, trusted 'cdp' input, or 'auto' (synthetic first,
+ *   retried with trusted input when the page never got the events, see canRetryWithTrustedInput).
+ * @param {{tabId: number, tabIds: number[], groupId?: number|null}} runTabs - The run's tabs: the
+ *   one it works in, all it owns (the tab tab actions may use) and their tab group, if any.
+ * @returns {Promise<{success: boolean, message: string, tabs?: {tabId: number|null, tabIds: number[]}}>}
+ *   The result. OPEN_TAB, SWITCH_TAB and CLOSE_TAB also return the run's tabs after the action.
+ */
+async function performActionInTab(action, runTabs) {
+    if (action.type === 'KEY_PRESS') {
+        action = { ...action, type: 'PRESS_KEY' }; // Recorded before the action was renamed
+    }
+    const { tabId, tabIds } = runTabs;
+    const currentTab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!currentTab) {
+        return { success: false, message: "The agent's tab was closed." };
+    }
+    const backend = action.inputBackend || DEFAULT_INPUT_SETTINGS.backend;
+
+    if ((action.type === 'TYPE' || action.type === 'TYPE_AND_ENTER') && containsVaultPlaceholder(action.text)) {
+        return typeVaultSecret(runTabs, currentTab.url, action);
     }
-    const activeTab = tabs[0];
-    const tabId = activeTab.id;
 
     try {
         // Handle browser-level actions that don't need content scripts
@@ -65,24 +342,113 @@ async function performActionInTab(action) {
                 await chrome.tabs.goBack(tabId);
                 await waitForTabLoad(tabId);
                 return { success: true, message: 'Navigated back.' };
+
+            case 'CLICK_AT':
+                if (typeof action.x !== 'number' || typeof action.y !== 'number') {
+                    return { success: false, message: 'No coordinates provided for CLICK_AT.' };
+                }
+                break;
+
+            case 'PRESS_KEY':
+                if (!action.key) {
+                    return { success: false, message: 'No key provided for PRESS_KEY.' };
+                }
+                break;
+
+            case 'SCROLL':
+                if (!action.direction && !action.target) {
+                    return { success: false, message: 'SCROLL needs a direction or an element to scroll to.' };
+                }
+                break;
+
+            case 'DRAG':
+                if (!action.destination && typeof action.x !== 'number' && typeof action.y !== 'number') {
+                    return { success: false, message: 'DRAG needs a drop target or an x/y offset.' };
+                }
+                if (action.destination && (action.destination.frameId ?? 0) !== (action.target?.frameId ?? 0)) {
+                    return { success: false, message: 'DRAG can only drop onto an element in the same frame.' };
+                }
+                break;
+
+            case 'OPEN_TAB': {
+                if (!action.text) {
+                    return { success: false, message: 'No URL provided for OPEN_TAB.' };
+                }
+                const newTab = await openAgentTab(action.text, runTabs);
+                await waitForTabLoad(newTab.id);
+                return {
+                    success: true,
+                    message: `Opened ${action.text} in a new tab (tab ${newTab.id}).`,
+                    tabs: { tabId: newTab.id, tabIds: [...tabIds, newTab.id] },
+                };
+            }
+
+            // Only the run's own tabs: the user's other tabs are theirs
+            case 'SWITCH_TAB': {
+                const tab = tabIds.includes(action.tabId) ? await chrome.tabs.get(action.tabId).catch(() => null) : null;
+                if (!tab) {
+                    return { success: false, message: `Tab ${action.tabId} is not one of the agent's open tabs.` };
+                }
+                return { success: true, message: `Switched to tab ${tab.id}: ${tab.title}`, tabs: { tabId: tab.id, tabIds } };
+            }
+
+            case 'CLOSE_TAB': {
+                const closingTabId = typeof action.tabId === 'number' ? action.tabId : tabId;
+                const closed = tabIds.includes(closingTabId) && await chrome.tabs.remove(closingTabId).then(() => true, () => false);
+                if (!closed) {
+                    return { success: false, message: `Tab ${closingTabId} is not one of the agent's open tabs.` };
+                }
+                const remaining = (await getOpenTabs({ tabId, tabIds })).filter(tab => tab.id !== closingTabId);
+                const nextTabId = closingTabId === tabId ? (remaining[remaining.length - 1]?.id ?? null) : tabId;
+                return {
+                    success: true,
+                    message: `Closed tab ${closingTabId}.${nextTabId !== tabId && nextTabId !== null ? ` Now in tab ${nextTabId}.` : ''}`,
+                    tabs: { tabId: nextTabId, tabIds: remaining.map(tab => tab.id) },
+                };
+            }
+        }
+
+        if (backend === 'cdp') {
+            const trustedResult = await performTrustedAction(tabId, action);
+            if (trustedResult) {
+                await waitForTabLoad(tabId);
+                return trustedResult;
+            }
         }
 
-        // For DOM-level actions, inject and execute the logic
+        // For DOM-level actions, inject the locator helpers, then execute the logic
+        // in the frame the target was scraped from (the top frame if unknown).
+        const injectionTarget = { tabId: tabId, frameIds: [action.target?.frameId ?? 0] };
+        const data = {
+            text: action.text,
+            url: action.url,
+            x: action.x,
+            y: action.y,
+            key: action.key,
+            modifiers: action.modifiers || [],
+            direction: action.direction,
+            destination: action.destination,
+        };
+        await chrome.scripting.executeScript({
+            target: injectionTarget,
+            files: ['js/page_locator.js'],
+        });
         const results = await chrome.scripting.executeScript({
-            target: { tabId: tabId },
-            args: [action.type, action.selector, { text: action.text, url: action.url }],
-            func: async (actionType, selector, data) => {
+            target: injectionTarget,
+            args: [action.type, action.target, data],
+            func: async (actionType, target, data) => {
                 // All of the following functions are now executed within the context of the web page
                 let styleInjected = false;
 
                 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-                function findElement(selector) {
-                    if (!selector) {
-                        console.error('Action failed: No selector provided.');
-                        return null;
+                function findElement(target) {
+                    if (!target) {
+                        console.error('Action failed: No target provided.');
+                        return { element: null, error: 'No target element provided.' };
                     }
-                    return document.querySelector(selector);
+                    // Verifies the fingerprint, so a shifted page fails cleanly instead of misclicking
+                    return agentPageLocator.resolveTarget(target);
                 }
 
                 function injectHighlightStyle() {
@@ -118,6 +484,145 @@ async function performActionInTab(action) {
                     await delay(30);
                 }
 
+                /**
+                 * Runs an interaction and reports whether its `eventType` event reached the element.
+                 * Sites that ignore untrusted events often stop them on the way down (a capture
+                 * listener on the window that checks isTrusted); then the element never sees the
+                 * event, and this is how 'auto' input knows trusted input is needed. A page that
+                 * got the event but reacts slowly is not retried.
+                 */
+                async function observeDelivery(element, eventType, interact) {
+                    let delivered = false;
+                    const listener = (event) => {
+                        if (!event.isTrusted) delivered = true;
+                    };
+                    element.addEventListener(eventType, listener, true);
+                    try {
+                        await interact();
+                    } finally {
+                        element.removeEventListener(eventType, listener, true);
+                    }
+                    return delivered;
+                }
+
+                function getCenter(element) {
+                    const rect = element.getBoundingClientRect();
+                    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+                }
+
+                function simulateKeyPress(element, key, modifiers) {
+                    const init = {
+                        key,
+                        code: key.length === 1 && /[a-z]/i.test(key) ? `Key${key.toUpperCase()}` : key,
+                        ctrlKey: modifiers.includes('Control'),
+                        shiftKey: modifiers.includes('Shift'),
+                        altKey: modifiers.includes('Alt'),
+                        metaKey: modifiers.includes('Meta'),
+                        bubbles: true,
+                        cancelable: true,
+                    };
+                    element.dispatchEvent(new KeyboardEvent('keydown', init));
+                    element.dispatchEvent(new KeyboardEvent('keyup', init));
+                }
+
+                async function simulateHover(element) {
+                    const { x, y } = getCenter(element);
+                    const init = { bubbles: true, cancelable: true, view: window, clientX: x, clientY: y };
+                    element.dispatchEvent(new PointerEvent('pointerover', init));
+                    element.dispatchEvent(new PointerEvent('pointerenter', { ...init, bubbles: false }));
+                    element.dispatchEvent(new MouseEvent('mouseover', init));
+                    element.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+                    element.dispatchEvent(new PointerEvent('pointermove', init));
+                    element.dispatchEvent(new MouseEvent('mousemove', init));
+                    await delay(300); // Hover menus often open after a short delay
+                }
+
+                /**
+                 * Drags an element to a point with pointer/mouse events, plus HTML5 drag-and-drop
+                 * events when the element is draggable. `to` is in this frame's viewport pixels.
+                 */
+                async function simulateDrag(source, to) {
+                    const from = getCenter(source);
+                    const dataTransfer = new DataTransfer();
+                    const fire = (target, type, point, EventType = MouseEvent, extra = {}) => target.dispatchEvent(new EventType(type, {
+                        bubbles: true, cancelable: true, view: window, clientX: point.x, clientY: point.y, ...extra,
+                    }));
+
+                    fire(source, 'pointerdown', from, PointerEvent);
+                    fire(source, 'mousedown', from, MouseEvent, { buttons: 1 });
+                    if (source.draggable) fire(source, 'dragstart', from, DragEvent, { dataTransfer });
+                    const steps = 10;
+                    for (let i = 1; i <= steps; i++) {
+                        const point = { x: from.x + (to.x - from.x) * i / steps, y: from.y + (to.y - from.y) * i / steps };
+                        const over = document.elementFromPoint(point.x, point.y) || document.body;
+                        fire(over, 'pointermove', point, PointerEvent);
+                        fire(over, 'mousemove', point, MouseEvent, { buttons: 1 });
+                        if (source.draggable) fire(over, 'dragover', point, DragEvent, { dataTransfer });
+                        await delay(20);
+                    }
+                    const dropTarget = document.elementFromPoint(to.x, to.y) || document.body;
+                    if (source.draggable) {
+                        fire(dropTarget, 'drop', to, DragEvent, { dataTransfer });
+                        fire(source, 'dragend', to, DragEvent, { dataTransfer });
+                    }
+                    fire(dropTarget, 'pointerup', to, PointerEvent);
+                    fire(dropTarget, 'mouseup', to);
+                }
+
+                function simulateClear(element) {
+                    element.focus();
+                    if (element.isContentEditable) {
+                        element.textContent = '';
+                    } else {
+                        element.value = '';
+                    }
+                    element.dispatchEvent(new Event('input', { bubbles: true }));
+                    element.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+
+                /** The nearest element (or the page) that can scroll along the given axis. */
+                function findScrollContainer(element, vertical) {
+                    for (let node = element; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+                        const overflow = getComputedStyle(node)[vertical ? 'overflowY' : 'overflowX'];
+                        const scrollable = vertical ? node.scrollHeight > node.clientHeight : node.scrollWidth > node.clientWidth;
+                        if (scrollable && ['auto', 'scroll', 'overlay'].includes(overflow)) return node;
+                    }
+                    return document.scrollingElement || document.documentElement;
+                }
+
+                /**
+                 * Scrolls the page, or the scroll container around `element`, by most of a screen
+                 * in a direction or to one end. Without a direction, scrolls `element` into view.
+                 */
+                async function simulateScroll(element, direction) {
+                    if (!direction) {
+                        element.scrollIntoView({ block: 'center', inline: 'center' });
+                        await delay(300);
+                        return { success: true, message: 'Scrolled the element into view.' };
+                    }
+                    const vertical = ['UP', 'DOWN', 'TOP', 'BOTTOM'].includes(direction);
+                    const container = findScrollContainer(element, vertical);
+                    const isPage = container === document.scrollingElement || container === document.documentElement;
+                    const position = () => (vertical ? container.scrollTop : container.scrollLeft);
+                    const visibleSize = isPage ? (vertical ? window.innerHeight : window.innerWidth)
+                        : (vertical ? container.clientHeight : container.clientWidth);
+                    const maxPosition = (vertical ? container.scrollHeight : container.scrollWidth) - visibleSize;
+                    const distance = Math.round(visibleSize * 0.8); // Keep some overlap for context
+
+                    const before = position();
+                    const targets = { UP: before - distance, DOWN: before + distance, LEFT: before - distance, RIGHT: before + distance, TOP: 0, BOTTOM: maxPosition };
+                    container.scrollTo(vertical ? { top: targets[direction] } : { left: targets[direction] });
+                    await delay(500); // Infinite feeds load more content once scrolled
+                    const after = position();
+
+                    const what = isPage ? 'the page' : 'the scroll area';
+                    if (after === before) {
+                        return { success: false, message: `Could not scroll ${what} ${direction.toLowerCase()}: it is already at the end.` };
+                    }
+                    const newMax = (vertical ? container.scrollHeight : container.scrollWidth) - visibleSize;
+                    return { success: true, message: `Scrolled ${what} ${direction.toLowerCase()} by ${Math.abs(after - before)}px (now at ${Math.round(after)} of ${Math.round(newMax)}px).` };
+                }
+
                 async function unhighlightElement(element) {
                     element.classList.remove('agent-highlight');
                     await delay(100); // Short delay after unhighlighting
@@ -176,22 +681,79 @@ async function performActionInTab(action) {
                     element.blur();
                 }
 
+                // Which element an action applies to; some fall back to the page or the focused element
+                function resolveActionElement(actionType, target, data) {
+                    switch (actionType) {
+                        case 'CLICK_AT':
+                            return { element: document.elementFromPoint(data.x, data.y), error: `Nothing to click at (${data.x}, ${data.y}).` };
+                        case 'PRESS_KEY':
+                            return target ? findElement(target) : { element: document.activeElement || document.body };
+                        case 'SCROLL':
+                            return target ? findElement(target) : { element: document.scrollingElement || document.documentElement };
+                        default:
+                            return findElement(target);
+                    }
+                }
+
                 // This is the main function that gets called inside the tab
-                async function performAction(actionType, selector, data) {
-                    const element = findElement(selector);
+                async function performAction(actionType, target, data) {
+                    const { element, error } = resolveActionElement(actionType, target, data);
 
                     if (!element) {
-                        return { success: false, message: `Element not found for selector: ${selector}` };
+                        return { success: false, message: error };
                     }
+                    // Outlining the whole page would only get in the way
+                    const isPageElement = element === document.documentElement || element === document.body;
 
                     try {
-                        await highlightElement(element); // Highlight before action
+                        if (!isPageElement) await highlightElement(element); // Highlight before action
 
+                        // Whether the events reached the element, or the value stuck; left undefined when
+                        // it can't be judged (and then never retried)
+                        let effect;
                         switch (actionType) {
                             case 'CLICK':
                             case 'CHECK':
                             case 'UNCHECK':
-                                await simulateClick(element);
+                            case 'CLICK_AT':
+                                effect = await observeDelivery(element, 'click', () => simulateClick(element));
+                                break;
+
+                            case 'HOVER':
+                                effect = await observeDelivery(element, 'mouseover', () => simulateHover(element));
+                                break;
+
+                            case 'PRESS_KEY':
+                                // Never retried: a key whose result shows up late would be pressed twice
+                                if (target) element.focus();
+                                simulateKeyPress(element, data.key, data.modifiers);
+                                await delay(300);
+                                break;
+
+                            case 'SCROLL':
+                                return await simulateScroll(element, data.direction);
+
+                            case 'DRAG': {
+                                let to;
+                                if (data.destination) {
+                                    const { element: dropElement, error: dropError } = findElement(data.destination);
+                                    if (!dropElement) {
+                                        return { success: false, message: `Drop target: ${dropError}` };
+                                    }
+                                    to = getCenter(dropElement);
+                                } else {
+                                    const from = getCenter(element);
+                                    to = { x: from.x + (data.x || 0), y: from.y + (data.y || 0) };
+                                }
+                                effect = await observeDelivery(element, 'mousedown', () => simulateDrag(element, to));
+                                break;
+                            }
+
+                            case 'CLEAR':
+                                simulateClear(element);
+                                await delay(300);
+                                // Controlled inputs may put their old value back
+                                effect = (element.isContentEditable ? element.innerText.trim() : String(element.value ?? '')) === '';
                                 break;
 
                             case 'SELECT':
@@ -207,30 +769,46 @@ async function performActionInTab(action) {
                                     return { success: false, message: 'No text provided for TYPE action.' };
                                 }
                                 await simulateType(element, data.text, actionType === 'TYPE_AND_ENTER');
+                                // The typed text must have stuck; controlled inputs revert it
+                                await delay(300);
+                                effect = (element.isContentEditable ? element.innerText : String(element.value ?? '')).includes(data.text);
                                 break;
 
                             default:
                                 return { success: false, message: `Unknown or unhandled action type: ${actionType}` };
                         }
-                        return { success: true, message: `Action '${actionType}' performed successfully on '${selector}'.` };
+                        return { success: true, effect, message: `Action '${actionType}' performed successfully on '${target?.selector || element.tagName.toLowerCase()}'.` };
                     } finally {
-                        await unhighlightElement(element); // Ensure unhighlighting happens even if action fails
+                        if (!isPageElement) await unhighlightElement(element); // Ensure unhighlighting happens even if action fails
                     }
                 }
 
                 // Execute the action and return the result
-                return await performAction(actionType, selector, data);
+                return await performAction(actionType, target, data);
             },
         });
 
         // After the action, wait for any potential page load to complete.
         await waitForTabLoad(tabId);
 
-        if (results && results[0] && results[0].result) {
-            return results[0].result;
-        } else {
+        if (!results || !results[0] || !results[0].result) {
             return { success: false, message: 'Action script did not return a result.' };
         }
+        const { effect, ...result } = results[0].result;
+
+        // The page never got the synthetic events; try again with trusted input
+        if (backend === 'auto' && result.success && effect === false && await canRetryWithTrustedInput(action, tabId)) {
+            console.log(`Synthetic ${action.type} never reached its target, retrying with trusted input.`);
+            const trustedResult = await performTrustedAction(tabId, action);
+            if (trustedResult) {
+                await waitForTabLoad(tabId);
+                return {
+                    ...trustedResult,
+                    message: `The page blocked simulated input; retried with trusted input. ${trustedResult.message}`,
+                };
+            }
+        }
+        return result;
 
     } catch (error) {
         console.error(`Error performing action ${action.type}:`, error);
@@ -8,20 +8,270 @@ document.addEventListener('DOMContentLoaded', () => {
   const chatView = document.getElementById('chat-view');
   const planView = document.getElementById('plan-view');
   const progressView = document.getElementById('progress-view');
+  const planSteps = document.getElementById('plan-steps');
+  const planParallel = document.getElementById('plan-parallel');
+  const historyView = document.getElementById('history-view');
+  const recipesView = document.getElementById('recipes-view');
+  const recipeList = document.getElementById('recipe-list');
+  const recipeDetail = document.getElementById('recipe-detail');
+  const recipeEditor = document.getElementById('recipe-editor');
+  const recipeImportInput = document.getElementById('recipe-import-input');
+  const recipesBtn = document.getElementById('recipes-btn');
+  const schedulesView = document.getElementById('schedules-view');
+  const scheduleList = document.getElementById('schedule-list');
+  const scheduleEditor = document.getElementById('schedule-editor');
+  const schedulesBtn = document.getElementById('schedules-btn');
   const settingsView = document.getElementById('settings-view');
+  const historyBtn = document.getElementById('history-btn');
   const settingsBtn = document.getElementById('settings-btn');
   const newTaskBtn = document.getElementById('new-task-btn');
+  const runsBtn = document.getElementById('runs-btn');
+  const runSwitcher = document.getElementById('run-switcher');
+  const runGroupSummary = document.getElementById('run-group-summary');
   const toggleApiKeyBtn = document.getElementById('toggle-api-key');
   const promptInput = document.getElementById('prompt-input');
+  const outputSchemaInput = document.getElementById('output-schema-input');
+  const clarifyQuestions = document.getElementById('clarify-questions');
   const apiKeyInput = document.getElementById('api-key-input');
+  const providerSelect = document.getElementById('llm-provider-select');
+  const modelInput = document.getElementById('llm-model-input');
+  const endpointInput = document.getElementById('llm-endpoint-input');
+  const mockResponsesInput = document.getElementById('mock-responses-input');
+  const testConnectionBtn = document.getElementById('test-connection-btn');
+  const testConnectionResult = document.getElementById('test-connection-result');
+  const profileNameInput = document.getElementById('profile-name-input');
+  const profileEmailInput = document.getElementById('profile-email-input');
+  const profileLanguageInput = document.getElementById('profile-language-input');
+  const compactionEnabledInput = document.getElementById('compaction-enabled-input');
+  const tokenBudgetInput = document.getElementById('token-budget-input');
+  const annotateScreenshotsInput = document.getElementById('annotate-screenshots-input');
+  const inputBackendSelect = document.getElementById('input-backend-select');
+  const cdpSitesInput = document.getElementById('cdp-sites-input');
+  const agentTabPlacementSelect = document.getElementById('agent-tab-placement-select');
+  const agentTabColorSelect = document.getElementById('agent-tab-color-select');
+  const approvalModeSelect = document.getElementById('approval-mode-select');
+  const approvalOverridesInput = document.getElementById('approval-overrides-input');
+  const allowedDomainsInput = document.getElementById('allowed-domains-input');
+  const blockedDomainsInput = document.getElementById('blocked-domains-input');
+  const stayInOriginInput = document.getElementById('stay-in-origin-input');
+  const blockUnsafeSchemesInput = document.getElementById('block-unsafe-schemes-input');
+  const replanEnabledInput = document.getElementById('replan-enabled-input');
+  const replanAutoApproveInput = document.getElementById('replan-auto-approve-input');
+  const vaultSettings = document.getElementById('vault-settings');
+  // Budget setting -> its input
+  const budgetInputs = {
+    maxLlmCalls: document.getElementById('max-llm-calls-input'),
+    maxActionsPerStep: document.getElementById('max-step-actions-input'),
+    timeoutMinutes: document.getElementById('run-timeout-input'),
+    maxTokens: document.getElementById('max-tokens-input'),
+    maxCost: document.getElementById('max-cost-input'),
+    inputPricePerMillion: document.getElementById('input-price-input'),
+    outputPricePerMillion: document.getElementById('output-price-input'),
+  };
 
-  let agent = null; // Hold the single agent instance
+  let runPort = null; // Port to the background worker that hosts the runs
+  const runStates = {}; // runId -> latest state pushed by the background worker
+  let runList = []; // The hosted runs, see RunManager.listRuns
+  let runGroups = []; // Groups of parallel runs, see RunManager.listGroups
+  let selectedRunId = null; // The run the progress view shows
+  let runState = null; // runStates[selectedRunId]
+  const isRunActive = run => ['Running', 'Paused', 'Waiting'].includes(run.status);
 
   const state = {
     currentView: 'chat',
+    goal: '', // The user query the current plan was generated from
+    outputSchema: null, // The data to collect with the goal, see parseOutputSchema
     planData: [], // This will hold the plan data for the plan view
+    loops: [], // Crawl loops over plan steps, see normalizePlanLoops
+    confirmSteps: [], // Indexes of the steps to confirm before the agent starts on them
+    planUsage: [], // Tokens used by the planner calls, counted towards the run's budget
+    answers: null, // The user's answers to the planner's questions; null until it may ask, see requestPlan
+    parallel: [], // Parts of the goal that can run in parallel, see normalizeParallelPlans
+    reviewedDecisionAt: null, // requestedAt of the last revised plan shown for review
   };
 
+  // The steps being edited in the plan view, see openPlanEditor
+  let planEditor = null;
+
+  // --- Background Run Connection ---
+  // The runs go on in the background worker; this view only renders their state.
+  function connectToRunHost() {
+    let isFirstRunList = true;
+    runPort = chrome.runtime.connect({ name: 'agent-run' });
+    runPort.onMessage.addListener((message) => {
+      switch (message.type) {
+        case 'state':
+          runStates[message.runId] = message.state;
+          if (message.runId === selectedRunId) showSelectedRun();
+          break;
+        case 'runs':
+          updateRunList(message.runs, message.groups, isFirstRunList);
+          isFirstRunList = false;
+          break;
+        case 'started':
+          // This panel started the run: follow it
+          selectRun(message.runId);
+          showView('progress');
+          break;
+        case 'planEdited':
+          // The edit was applied; the editor stays open if it was refused (see 'error')
+          if (state.currentView === 'plan' && planEditor?.runId === message.runId) showView('progress');
+          break;
+        case 'error':
+          alert(message.message);
+          break;
+      }
+    });
+    // The worker may be restarted by Chrome; reconnect to keep receiving updates
+    runPort.onDisconnect.addListener(() => setTimeout(connectToRunHost, 500));
+  }
+
+  function sendRunCommand(type, payload = {}) {
+    runPort.postMessage({ type, runId: selectedRunId, ...payload });
+  }
+
+  function selectRun(runId) {
+    selectedRunId = runId;
+    runState = runStates[runId] || null;
+    renderRunSwitcher();
+  }
+
+  function updateRunList(runs, groups, isFirstRunList) {
+    runList = runs;
+    runGroups = groups;
+    Object.keys(runStates).forEach((runId) => {
+      if (!runs.some(run => run.runId === runId)) delete runStates[runId];
+    });
+    // The selected run was dismissed (or retried) elsewhere: fall back to the latest one
+    if (!runStates[selectedRunId]) {
+      const latest = runs.filter(isRunActive).pop() || runs[runs.length - 1];
+      selectRun(latest ? latest.runId : null);
+      if (state.currentView === 'progress' && !runState) {
+        showView('chat');
+      } else {
+        showSelectedRun();
+      }
+    }
+    // Runs were already going when the panel (re)opened: jump straight to them
+    if (isFirstRunList && runState && state.currentView !== 'progress') {
+      showView('progress');
+    }
+    renderRunSwitcher();
+  }
+
+  function showSelectedRun() {
+    runState = runStates[selectedRunId] || null;
+    if (!runState || state.currentView !== 'progress') return;
+    // A revised plan is waiting for approval: show it once instead of the progress log
+    const decision = runState.pendingDecision;
+    if (decision?.type === 'replan' && state.reviewedDecisionAt !== decision.requestedAt) {
+      showReplanReview(decision);
+      return;
+    }
+    handleAgentStateChange(runState);
+  }
+
+  // One button per hosted run, shown above the progress log when there is more than one
+  function renderRunSwitcher() {
+    const activeCount = runList.filter(isRunActive).length;
+    runsBtn.style.display = runList.length > 0 ? '' : 'none';
+    runsBtn.textContent = activeCount > 0 ? `Runs (${activeCount})` : 'Runs';
+    runSwitcher.style.display = runList.length > 1 ? '' : 'none';
+    runSwitcher.innerHTML = runList.map(run => `
+      <button class="run-switch status-${run.status.toLowerCase()}${run.runId === selectedRunId ? ' selected' : ''}" data-run-id="${run.runId}" title="${escapeHtml(run.goal)}">
+        <span class="run-switch-title">${escapeHtml(run.title)}</span>
+        <span class="run-switch-status">${run.status}</span>
+      </button>
+    `).join('');
+    renderRunGroupSummary();
+  }
+
+  // What the parallel runs the selected run belongs to have come to, once merged
+  function renderRunGroupSummary() {
+    const run = runList.find(item => item.runId === selectedRunId);
+    const group = run?.groupId && runGroups.find(item => item.id === run.groupId);
+    runGroupSummary.style.display = group ? '' : 'none';
+    if (!group) return;
+    const groupRuns = runList.filter(item => item.groupId === group.id);
+    const waitingFor = groupRuns.filter(isRunActive).length;
+    let body = `Waiting for ${waitingFor} of ${groupRuns.length} runs to finish.`;
+    if (group.status === 'Merging') body = 'Merging the results...';
+    if (group.status === 'Completed') body = escapeHtml(group.summary);
+    if (group.status === 'Failed') body = `The results could not be merged: ${escapeHtml(group.error)}`;
+    const usage = group.usage
+      ? formatRunUsage(group.usage, (group.endedAt || Date.now()) - group.startedAt, group.budget)
+      : '';
+    runGroupSummary.innerHTML = `
+      <div class="step-title">Parallel runs: ${escapeHtml(group.goal)}</div>
+      <div class="run-group-body">${body}</div>
+      ${usage ? `<div class="history-meta">All runs and the merge: ${escapeHtml(usage)}</div>` : ''}
+    `;
+  }
+
+  // The worker answers with 'started', or with 'error' if too many runs are going
+  async function startRun(extraOptions = {}) {
+    // The run works in the tab the user is looking at now, even after they switch away
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    sendRunCommand('start', {
+      plan: state.planData,
+      options: {
+        goal: state.goal,
+        tabId: tab?.id,
+        ...getRunSettings(),
+        plannerUsage: state.planUsage,
+        answers: state.answers || [],
+        outputSchema: state.outputSchema,
+        loops: state.loops,
+        confirmSteps: state.confirmSteps,
+        ...extraOptions,
+      },
+    });
+  }
+
+  // Runs each part of the goal in a tab of its own and merges their results at the end
+  function startParallelRuns() {
+    sendRunCommand('startGroup', {
+      goal: state.goal,
+      parts: state.parallel,
+      options: {
+        ...getRunSettings(),
+        plannerUsage: state.planUsage,
+        answers: state.answers || [],
+        outputSchema: state.outputSchema,
+      },
+    });
+  }
+
+  // Re-executes a recorded run's actions; the model is only called if the page diverges
+  function startReplay(record) {
+    state.goal = record.goal;
+    state.outputSchema = record.outputSchema || null;
+    state.planData = [...record.plan];
+    state.planUsage = []; // Nothing was planned for this run
+    state.answers = record.answers || []; // Seen again by the model if the replay diverges
+    state.parallel = [];
+    state.confirmSteps = [];
+    state.loops = (record.loops || []).map(({ startStep, endStep, kind, description, maxIterations, maxItems }) => (
+      { startStep, endStep, kind, description, maxIterations, maxItems }
+    ));
+    startRun({
+      replay: {
+        sourceRunId: record.id,
+        transcript: record.transcript.map(({ stepIndex, action, step, data, target, result }) => (
+          { stepIndex, action, step, data, target, result: result && { success: result.success } }
+        )),
+      },
+    });
+  }
+
+  // Discards the selected run; other runs go on
+  function dismissRun() {
+    if (!selectedRunId) return;
+    sendRunCommand('dismiss');
+    delete runStates[selectedRunId];
+    selectRun(null);
+  }
+
   // --- View Switching Logic ---
   function showView(viewId) {
     // ... (This function remains mostly the same)
@@ -33,6 +283,7 @@ document.addEventListener('DOMContentLoaded', () => {
       case 'chat':
         currentViewElement = chatView;
         headerTitle.textContent = 'Ask agent to do anything';
+        clarifyQuestions.style.display = 'none'; // Shown by showClarifyingQuestions
         renderChatFooter();
         break;
       case 'plan':
@@ -43,17 +294,35 @@ document.addEventListener('DOMContentLoaded', () => {
       case 'progress':
         currentViewElement = progressView;
         headerTitle.textContent = 'Progress';
-        // The footer is now rendered by handleAgentStateChange
-        if (!agent) { // Only create a new agent if one doesn't exist
-          agent = new AgentOrchestrator(state.planData);
-          agent.subscribe(handleAgentStateChange);
-          agent.start(); // Start the agent with the current plan data
+        // The footer is rendered by handleAgentStateChange
+        if (runState) {
+          handleAgentStateChange(runState);
+        } else {
+          footer.innerHTML = '';
         }
         break;
+      case 'recipes':
+        currentViewElement = recipesView;
+        headerTitle.textContent = 'Recipes';
+        populateRecipeList();
+        break;
+      case 'schedules':
+        currentViewElement = schedulesView;
+        headerTitle.textContent = 'Schedules';
+        populateScheduleList();
+        break;
+      case 'history':
+        currentViewElement = historyView;
+        headerTitle.textContent = 'History';
+        footer.innerHTML = '';
+        populateHistoryList();
+        break;
       case 'settings':
         currentViewElement = settingsView;
         headerTitle.textContent = 'Settings';
-        apiKeyInput.value = localStorage.getItem('subscriptionKey') || '';
+        populateProviderSettings();
+        populatePageSettings();
+        renderVaultSettings();
         renderSettingsFooter();
         break;
     }
@@ -63,35 +332,174 @@ document.addEventListener('DOMContentLoaded', () => {
   // --- Footer Rendering ---
   // ... (All renderFooter functions remain exactly the same)
   function renderChatFooter() {
-    footer.innerHTML = '<button id="send-btn" class="footer-btn">Send</button>';
-    document.getElementById('send-btn').addEventListener('click', handlePlanRequest);
+    footer.innerHTML = `
+      <button id="schedule-goal-btn" class="footer-btn secondary">Schedule</button>
+      <button id="send-btn" class="footer-btn">Send</button>
+    `;
+    document.getElementById('send-btn').addEventListener('click', () => handlePlanRequest());
+    // The goal is planned each time the schedule fires
+    document.getElementById('schedule-goal-btn').addEventListener('click', () => {
+      const goal = promptInput.value.trim();
+      if (!goal) return;
+      let outputSchema;
+      try {
+        outputSchema = parseOutputSchema(outputSchemaInput.value);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      showView('schedules');
+      showScheduleEditor({ name: goal, target: { kind: 'goal', goal, outputSchema } });
+    });
   }
 
   function renderPlanFooter() {
     footer.innerHTML = `
-      <button id="edit-btn" class="footer-btn secondary">Edit</button>
+      <button id="edit-btn" class="footer-btn secondary">Change Request</button>
+      <button id="save-recipe-btn" class="footer-btn secondary">Save as Recipe</button>
+      <button id="schedule-plan-btn" class="footer-btn secondary">Schedule</button>
+      ${state.parallel.length > 0 ? '<button id="start-parallel-btn" class="footer-btn secondary">Run in Parallel</button>' : ''}
       <button id="start-agent-btn" class="footer-btn">Start Agent</button>
     `;
     document.getElementById('edit-btn').addEventListener('click', () => showView('chat'));
-    document.getElementById('start-agent-btn').addEventListener('click', () => showView('progress'));
+    document.getElementById('save-recipe-btn').addEventListener('click', async () => {
+      if (!checkPlanSteps()) return;
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      showView('recipes');
+      showRecipeEditor({
+        name: state.goal,
+        startUrl: /^https?:/.test(tab?.url || '') ? tab.url : '',
+        plan: state.planData,
+        loops: state.loops,
+        outputSchema: state.outputSchema,
+      });
+    });
+    document.getElementById('schedule-plan-btn').addEventListener('click', () => {
+      if (!checkPlanSteps()) return;
+      showView('schedules');
+      showScheduleEditor({
+        name: state.goal,
+        target: { kind: 'plan', goal: state.goal, plan: state.planData, loops: state.loops, outputSchema: state.outputSchema },
+      });
+    });
+    document.getElementById('start-parallel-btn')?.addEventListener('click', startParallelRuns);
+    document.getElementById('start-agent-btn').addEventListener('click', () => {
+      if (checkPlanSteps()) startRun();
+    });
   }
 
   function renderProgressFooter(isPaused) {
     const pauseButtonText = isPaused ? 'Resume' : 'Pause';
     const pauseButtonId = isPaused ? 'resume-btn' : 'pause-btn';
     footer.innerHTML = `
+      ${renderBudgetCounters(runState)}
+      ${typeof runState?.tabId === 'number' ? '<button id="show-agent-tab-btn" class="footer-btn secondary">Show Tab</button>' : ''}
+      ${isPaused && runState?.isActing ? '<div class="footer-note">Pausing after the current action...</div>' : ''}
+      ${isPaused ? `<button id="edit-run-plan-btn" class="footer-btn secondary"${runState?.isActing ? ' disabled' : ''}>Edit Plan</button>` : ''}
       <button id="${pauseButtonId}" class="footer-btn secondary">${pauseButtonText}</button>
       <button id="stop-agent-btn" class="footer-btn danger">Stop</button>
     `;
+    document.getElementById('show-agent-tab-btn')?.addEventListener('click', async () => {
+      const tab = await chrome.tabs.get(runState.tabId).catch(() => null);
+      if (!tab) return;
+      await chrome.tabs.update(tab.id, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    });
+    document.getElementById('edit-run-plan-btn')?.addEventListener('click', showRunPlanEditor);
     document.getElementById(pauseButtonId).addEventListener('click', () => {
-      if (isPaused) {
-        agent.resume();
-      } else {
-        agent.pause();
-      }
+      sendRunCommand(isPaused ? 'resume' : 'pause');
+    });
+    document.getElementById('stop-agent-btn').addEventListener('click', () => {
+      sendRunCommand('stop');
+    });
+  }
+
+  function renderReplanPendingFooter(decision) {
+    footer.innerHTML = `
+      ${renderBudgetCounters(runState)}
+      <button id="review-replan-btn" class="footer-btn">Review Plan Change</button>
+      <button id="stop-agent-btn" class="footer-btn danger">Stop</button>
+    `;
+    document.getElementById('review-replan-btn').addEventListener('click', () => showReplanReview(decision));
+    document.getElementById('stop-agent-btn').addEventListener('click', () => {
+      sendRunCommand('stop');
+    });
+  }
+
+  function renderReplanReviewFooter() {
+    footer.innerHTML = `
+      <button id="reject-replan-btn" class="footer-btn secondary">Keep Current Plan</button>
+      <button id="approve-replan-btn" class="footer-btn">Apply Revised Plan</button>
+    `;
+    const resolve = (approved) => {
+      sendRunCommand('resolveReplan', { approved });
+      showView('progress');
+    };
+    document.getElementById('reject-replan-btn').addEventListener('click', () => resolve(false));
+    document.getElementById('approve-replan-btn').addEventListener('click', () => resolve(true));
+  }
+
+  // Live usage of the run against its budget, shown above the progress buttons
+  function renderBudgetCounters(agentState) {
+    if (!agentState?.usage) return '';
+    const counters = formatRunUsage(agentState.usage, getRunActiveMs(agentState), agentState.budget);
+    return `<div class="budget-counters">${escapeHtml(counters)}</div>`;
+  }
+
+  function renderApprovalFooter() {
+    footer.innerHTML = `
+      ${renderBudgetCounters(runState)}
+      <button id="decline-action-btn" class="footer-btn secondary">Decline</button>
+      <button id="approve-action-btn" class="footer-btn">Approve</button>
+      <button id="stop-agent-btn" class="footer-btn danger">Stop</button>
+    `;
+    document.getElementById('decline-action-btn').addEventListener('click', () => {
+      sendRunCommand('resolveApproval', { approved: false });
+    });
+    document.getElementById('approve-action-btn').addEventListener('click', () => {
+      sendRunCommand('resolveApproval', { approved: true });
+    });
+    document.getElementById('stop-agent-btn').addEventListener('click', () => {
+      sendRunCommand('stop');
+    });
+  }
+
+  function renderStepConfirmationFooter() {
+    footer.innerHTML = `
+      ${renderBudgetCounters(runState)}
+      <button id="edit-run-plan-btn" class="footer-btn secondary">Edit Plan</button>
+      <button id="skip-step-btn" class="footer-btn secondary">Skip Step</button>
+      <button id="run-step-btn" class="footer-btn">Run Step</button>
+      <button id="stop-agent-btn" class="footer-btn danger">Stop</button>
+    `;
+    document.getElementById('edit-run-plan-btn').addEventListener('click', showRunPlanEditor);
+    document.getElementById('skip-step-btn').addEventListener('click', () => {
+      sendRunCommand('resolveStepConfirmation', { approved: false });
+    });
+    document.getElementById('run-step-btn').addEventListener('click', () => {
+      sendRunCommand('resolveStepConfirmation', { approved: true });
+    });
+    document.getElementById('stop-agent-btn').addEventListener('click', () => {
+      sendRunCommand('stop');
+    });
+  }
+
+  function renderQuestionFooter(decision) {
+    footer.innerHTML = `
+      ${renderBudgetCounters(runState)}
+      <button id="skip-question-btn" class="footer-btn secondary">Don't Answer</button>
+      <button id="answer-question-btn" class="footer-btn">Send Answers</button>
+      <button id="stop-agent-btn" class="footer-btn danger">Stop</button>
+    `;
+    document.getElementById('skip-question-btn').addEventListener('click', () => {
+      sendRunCommand('resolveQuestion', { answers: null });
+    });
+    document.getElementById('answer-question-btn').addEventListener('click', () => {
+      const answers = readQuestionAnswers(document.getElementById('question-request'), decision.questions);
+      if (answers) sendRunCommand('resolveQuestion', { answers: answers.map(item => item.answer) });
     });
     document.getElementById('stop-agent-btn').addEventListener('click', () => {
-      agent.stop();
+      sendRunCommand('stop');
     });
   }
 
@@ -100,11 +508,8 @@ document.addEventListener('DOMContentLoaded', () => {
       <button id="retry-plan-btn" class="footer-btn secondary">Retry</button>
       <button id="new-task-btn-footer" class="footer-btn">New Task</button>
     `;
-    document.getElementById('retry-plan-btn').addEventListener('click', handlePlanRequest);
-    document.getElementById('new-task-btn-footer').addEventListener('click', () => {
-      agent = null; // Clear the old agent instance
-      showView('chat');
-    });
+    document.getElementById('retry-plan-btn').addEventListener('click', () => requestPlan());
+    document.getElementById('new-task-btn-footer').addEventListener('click', () => showView('chat'));
   }
 
   function renderStoppedFooter(showRetry) {
@@ -115,29 +520,852 @@ document.addEventListener('DOMContentLoaded', () => {
         ${buttons}
       `;
     }
-    footer.innerHTML = buttons;
+    footer.innerHTML = `${renderBudgetCounters(runState)}${buttons}`;
 
     if (showRetry) {
       document.getElementById('retry-btn').addEventListener('click', () => {
-        agent.retry();
+        sendRunCommand('retry');
       });
     }
     document.getElementById('new-task-btn-footer').addEventListener('click', () => {
-      agent = null; // Clear the old agent instance
+      dismissRun(); // Discard the old run
       showView('chat');
     });
   }
 
   function renderSettingsFooter() {
     footer.innerHTML = '<button id="save-settings-btn" class="footer-btn">Save</button>';
-    document.getElementById('save-settings-btn').addEventListener('click', () => {
-      const newKey = apiKeyInput.value.trim();
-      localStorage.setItem('subscriptionKey', newKey);
+    document.getElementById('save-settings-btn').addEventListener('click', async () => {
+      let siteOverrides;
+      try {
+        siteOverrides = parseSiteOverrides(approvalOverridesInput.value);
+      } catch (error) {
+        alert(`Per-site overrides: ${error.message}`);
+        return;
+      }
+      const budget = {};
+      Object.entries(budgetInputs).forEach(([key, input]) => {
+        budget[key] = parseFloat(input.value);
+      });
+      try {
+        await saveSettings({
+          llm: readProviderForm(),
+          profile: {
+            name: profileNameInput.value.trim(),
+            email: profileEmailInput.value.trim(),
+            language: profileLanguageInput.value.trim(),
+          },
+          compaction: {
+            enabled: compactionEnabledInput.checked,
+            tokenBudget: parseInt(tokenBudgetInput.value, 10),
+          },
+          screenshots: { annotate: annotateScreenshotsInput.checked },
+          input: {
+            backend: inputBackendSelect.value,
+            cdpSites: cdpSitesInput.value.split(',').map(site => site.trim().toLowerCase()).filter(Boolean),
+          },
+          tabs: { placement: agentTabPlacementSelect.value, groupColor: agentTabColorSelect.value },
+          approval: { mode: approvalModeSelect.value, siteOverrides },
+          navigation: {
+            allowedDomains: parseDomainPatterns(allowedDomainsInput.value),
+            blockedDomains: parseDomainPatterns(blockedDomainsInput.value),
+            stayInStartOrigin: stayInOriginInput.checked,
+            blockUnsafeSchemes: blockUnsafeSchemesInput.checked,
+          },
+          budget,
+          replanning: {
+            enabled: replanEnabledInput.checked,
+            autoApprove: replanAutoApproveInput.checked,
+          },
+        });
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
       alert('Settings saved!');
       showView('chat');
     });
   }
 
+  // The provider config as currently typed in Settings, saved or not
+  function readProviderForm() {
+    return {
+      provider: providerSelect.value,
+      model: modelInput.value.trim(),
+      endpoint: endpointInput.value.trim(),
+      mockResponses: mockResponsesInput.value.trim(),
+      apiKey: apiKeyInput.value.trim(),
+    };
+  }
+
+  async function testConnection() {
+    testConnectionBtn.disabled = true;
+    testConnectionResult.className = '';
+    testConnectionResult.textContent = 'Testing...';
+    try {
+      const config = readProviderForm();
+      validateSettings({ llm: config });
+      testConnectionResult.textContent = await testModelConnection(config);
+    } catch (error) {
+      testConnectionResult.className = 'test-failed';
+      testConnectionResult.textContent = error.message;
+    } finally {
+      testConnectionBtn.disabled = false;
+    }
+  }
+
+  function populateProviderSettings() {
+    const llmConfig = getLlmConfig();
+    getApiKey().then((apiKey) => {
+      apiKeyInput.value = apiKey;
+    });
+    providerSelect.value = llmConfig.provider;
+    modelInput.value = llmConfig.model;
+    endpointInput.value = llmConfig.endpoint;
+    mockResponsesInput.value = llmConfig.mockResponses;
+    testConnectionResult.textContent = '';
+    updateProviderFields();
+    const profile = { ...DEFAULT_PROFILE_SETTINGS, ...getSettingsSection('profile') };
+    profileNameInput.value = profile.name;
+    profileEmailInput.value = profile.email;
+    profileLanguageInput.value = profile.language;
+  }
+
+  function populatePageSettings() {
+    const compaction = getCompactionSettings();
+    compactionEnabledInput.checked = compaction.enabled;
+    tokenBudgetInput.value = compaction.tokenBudget;
+    annotateScreenshotsInput.checked = getScreenshotSettings().annotate;
+    const input = getInputSettings();
+    inputBackendSelect.value = input.backend;
+    cdpSitesInput.value = input.cdpSites.join(', ');
+    const agentTab = getAgentTabSettings();
+    agentTabPlacementSelect.value = agentTab.placement;
+    agentTabColorSelect.value = agentTab.groupColor;
+    const approval = getApprovalSettings();
+    approvalModeSelect.value = approval.mode;
+    approvalOverridesInput.value = formatSiteOverrides(approval.siteOverrides);
+    const navigation = getNavigationSettings();
+    allowedDomainsInput.value = navigation.allowedDomains.join(', ');
+    blockedDomainsInput.value = navigation.blockedDomains.join(', ');
+    stayInOriginInput.checked = navigation.stayInStartOrigin;
+    blockUnsafeSchemesInput.checked = navigation.blockUnsafeSchemes;
+    const budget = getBudgetSettings();
+    Object.entries(budgetInputs).forEach(([key, input]) => {
+      input.value = budget[key];
+    });
+    const replanning = getReplanSettings();
+    replanEnabledInput.checked = replanning.enabled;
+    replanAutoApproveInput.checked = replanning.autoApprove;
+  }
+
+  // Only show the inputs that apply to the selected provider
+  function updateProviderFields() {
+    settingsView.querySelectorAll('[data-providers]').forEach((item) => {
+      const providers = item.dataset.providers.split(' ');
+      item.style.display = providers.includes(providerSelect.value) ? '' : 'none';
+    });
+    modelInput.placeholder = LLM_PROVIDERS[providerSelect.value]?.defaultModel || '';
+  }
+
+  // --- Credential Vault ---
+  // Vault changes take effect at once (not on Save), so a value is never left unencrypted in the form.
+  async function renderVaultSettings() {
+    const status = await getVaultStatus();
+    if (status !== 'unlocked') {
+      vaultSettings.innerHTML = `
+        <p class="vault-status">${status === 'none'
+          ? 'Save logins here and the agent types them without ever seeing them. Choose a passphrase (8+ characters) to create the vault.'
+          : 'The vault is locked. Unlock it so the agent can use it until the browser closes.'}</p>
+        <input type="password" id="vault-passphrase-input" class="setting-input" placeholder="Passphrase" />
+        <div class="vault-actions">
+          <button id="vault-unlock-btn" class="footer-btn">${status === 'none' ? 'Create Vault' : 'Unlock'}</button>
+          ${status === 'locked' ? '<button id="vault-delete-btn" class="footer-btn danger">Delete Vault</button>' : ''}
+        </div>`;
+      const passphraseInput = document.getElementById('vault-passphrase-input');
+      document.getElementById('vault-unlock-btn').addEventListener('click', async () => {
+        try {
+          await (status === 'none' ? createVault(passphraseInput.value) : unlockVault(passphraseInput.value));
+        } catch (error) {
+          alert(error.message);
+          return;
+        }
+        renderVaultSettings();
+      });
+      document.getElementById('vault-delete-btn')?.addEventListener('click', async () => {
+        if (!confirm('Delete the vault and every login in it? This cannot be undone.')) return;
+        await deleteVault();
+        renderVaultSettings();
+      });
+      return;
+    }
+
+    const entries = await readVaultEntries();
+    const entryHtml = Object.entries(entries).map(([name, entry]) => `
+      <div class="vault-entry">
+        <div>
+          <div>${escapeHtml(name)}: ${Object.keys(entry.fields).map(field => escapeHtml(`{{vault:${name}.${field}}}`)).join(', ')}</div>
+          <div class="vault-entry-origin">${entry.origin ? `Only on ${escapeHtml(entry.origin)}` : 'Any site'}</div>
+        </div>
+        <button class="footer-btn secondary vault-remove-btn" data-name="${escapeHtml(name)}">Remove</button>
+      </div>`).join('');
+    vaultSettings.innerHTML = `
+      <p class="vault-status">The vault is unlocked until the browser closes.</p>
+      ${entryHtml || '<p class="vault-status">No entries yet.</p>'}
+      <div class="vault-add-form">
+        <input type="text" id="vault-name-input" class="setting-input" placeholder="Name, e.g. github" />
+        <input type="text" id="vault-origin-input" class="setting-input" placeholder="Only on this site (optional), e.g. https://github.com" />
+        <textarea id="vault-fields-input" class="setting-input" placeholder="username = octocat&#10;password = ..."></textarea>
+      </div>
+      <div class="vault-actions">
+        <button id="vault-add-btn" class="footer-btn">Add Entry</button>
+        <button id="vault-lock-btn" class="footer-btn secondary">Lock</button>
+      </div>`;
+
+    vaultSettings.querySelectorAll('.vault-remove-btn').forEach((button) => {
+      button.addEventListener('click', async () => {
+        delete entries[button.dataset.name];
+        await saveVaultEntries(entries);
+        renderVaultSettings();
+      });
+    });
+    document.getElementById('vault-add-btn').addEventListener('click', async () => {
+      const name = document.getElementById('vault-name-input').value.trim();
+      const originText = document.getElementById('vault-origin-input').value.trim();
+      let origin = null;
+      let fields;
+      try {
+        if (!/^[\w-]+$/.test(name)) throw new Error('The name may only contain letters, digits, _ and -.');
+        if (originText) {
+          origin = getVaultOrigin(originText);
+          if (!origin) throw new Error(`"${originText}" is not a site address.`);
+        }
+        fields = parseVaultFields(document.getElementById('vault-fields-input').value);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      entries[name] = { origin, fields };
+      await saveVaultEntries(entries);
+      renderVaultSettings();
+    });
+    document.getElementById('vault-lock-btn').addEventListener('click', async () => {
+      await lockVault();
+      renderVaultSettings();
+    });
+  }
+
+  // --- Recipes View ---
+  // The list, a recipe's parameter form and the editor share the view; one is shown at a time
+  function showRecipePanel(panel) {
+    [recipeList, recipeDetail, recipeEditor].forEach((element) => {
+      element.style.display = element === panel ? '' : 'none';
+    });
+  }
+
+  async function populateRecipeList() {
+    showRecipePanel(recipeList);
+    headerTitle.textContent = 'Recipes';
+    const recipes = await getRecipes();
+    recipeList.innerHTML = recipes.length === 0
+      ? '<div class="plan-message">No recipes yet. Save a reviewed plan as a recipe, or import one.</div>'
+      : recipes.map(recipe => `
+        <li class="history-item" data-recipe-id="${escapeHtml(recipe.id)}">
+          <div class="step-title">${escapeHtml(recipe.name)}</div>
+          ${recipe.description ? `<div class="history-meta">${escapeHtml(recipe.description)}</div>` : ''}
+          <div class="history-meta">${recipe.plan.length} steps${recipe.parameters.length > 0 ? ` · ${recipe.parameters.map(parameter => escapeHtml(parameter.label)).join(', ')}` : ''}</div>
+        </li>
+      `).join('');
+    recipeList.querySelectorAll('.history-item').forEach((item) => {
+      item.addEventListener('click', () => showRecipeDetail(recipes.find(recipe => recipe.id === item.dataset.recipeId)));
+    });
+
+    footer.innerHTML = `
+      <button id="import-recipes-btn" class="footer-btn secondary">Import</button>
+      ${recipes.length > 0 ? '<button id="export-recipes-btn" class="footer-btn secondary">Export All</button>' : ''}
+    `;
+    document.getElementById('import-recipes-btn').addEventListener('click', () => recipeImportInput.click());
+    document.getElementById('export-recipes-btn')?.addEventListener('click', () => {
+      downloadFile('agent-recipes.json', buildRecipesJson(recipes), 'application/json');
+    });
+  }
+
+  async function importRecipes(file) {
+    try {
+      const recipes = parseRecipesJson(await file.text());
+      await saveRecipes(recipes);
+      alert(`Imported ${recipes.length} recipe${recipes.length === 1 ? '' : 's'}.`);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+    populateRecipeList();
+  }
+
+  // A recipe's parameter form, from which it runs
+  function showRecipeDetail(recipe) {
+    showRecipePanel(recipeDetail);
+    headerTitle.textContent = recipe.name;
+    const fieldsHtml = recipe.parameters.map(parameter => `
+      <label for="recipe-value-${escapeHtml(parameter.name)}">${escapeHtml(parameter.label)}${parameter.required ? '' : ' (optional)'}</label>
+      <input type="${RECIPE_PARAMETER_TYPES[parameter.type]}" id="recipe-value-${escapeHtml(parameter.name)}" class="setting-input"
+        data-name="${escapeHtml(parameter.name)}" value="${escapeHtml(parameter.defaultValue)}" />
+    `).join('');
+    recipeDetail.innerHTML = `
+      ${recipe.description ? `<div class="history-meta">${escapeHtml(recipe.description)}</div>` : ''}
+      ${recipe.startUrl ? `<div class="history-meta">Starts on ${escapeHtml(recipe.startUrl)}</div>` : ''}
+      <div class="recipe-form">${fieldsHtml}</div>
+      <h3>Plan</h3>
+      ${recipe.plan.map((step, index) => `<div class="plan-step">${index + 1}. ${escapeHtml(step)}</div>`).join('')}
+    `;
+
+    footer.innerHTML = `
+      <button id="recipe-back-btn" class="footer-btn secondary">Back</button>
+      <button id="edit-recipe-btn" class="footer-btn secondary">Edit</button>
+      <button id="export-recipe-btn" class="footer-btn secondary">Export</button>
+      <button id="delete-recipe-btn" class="footer-btn danger">Delete</button>
+      <button id="schedule-recipe-btn" class="footer-btn secondary">Schedule</button>
+      <button id="run-recipe-btn" class="footer-btn">Run</button>
+    `;
+    document.getElementById('recipe-back-btn').addEventListener('click', populateRecipeList);
+    document.getElementById('edit-recipe-btn').addEventListener('click', () => showRecipeEditor(recipe));
+    document.getElementById('export-recipe-btn').addEventListener('click', () => {
+      downloadFile(`agent-recipe-${recipe.id}.json`, buildRecipesJson([recipe]), 'application/json');
+    });
+    document.getElementById('delete-recipe-btn').addEventListener('click', async () => {
+      if (!confirm(`Delete the recipe "${recipe.name}"?`)) return;
+      await deleteRecipe(recipe.id);
+      populateRecipeList();
+    });
+    const readValues = () => {
+      const values = {};
+      recipeDetail.querySelectorAll('[data-name]').forEach((input) => {
+        values[input.dataset.name] = input.value;
+      });
+      return values;
+    };
+    document.getElementById('schedule-recipe-btn').addEventListener('click', () => {
+      let values;
+      try {
+        values = validateRecipeValues(recipe, readValues());
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      showView('schedules');
+      showScheduleEditor({
+        name: fillRecipe(recipe, values).goal,
+        target: { kind: 'recipe', recipeId: recipe.id, recipeName: recipe.name, values },
+      });
+    });
+    document.getElementById('run-recipe-btn').addEventListener('click', () => runRecipe(recipe, readValues()));
+  }
+
+  // Runs the recipe's saved plan as is: no planning call
+  function runRecipe(recipe, values) {
+    let filled;
+    try {
+      filled = fillRecipe(recipe, validateRecipeValues(recipe, values));
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    state.goal = filled.goal;
+    state.outputSchema = filled.outputSchema;
+    state.planData = filled.plan;
+    state.loops = filled.loops;
+    state.parallel = [];
+    state.confirmSteps = [];
+    state.planUsage = [];
+    state.answers = null;
+    startRun({ startUrl: filled.startUrl || undefined, recipe: { id: recipe.id, name: recipe.name } });
+  }
+
+  // Edits a new recipe (a plan to save) or an existing one
+  function showRecipeEditor(draft) {
+    showRecipePanel(recipeEditor);
+    headerTitle.textContent = draft.id ? 'Edit Recipe' : 'New Recipe';
+    recipeEditor.innerHTML = `
+      <div class="recipe-form">
+        <label for="recipe-name-input">Name (write {{parameter}} where a value changes from run to run)</label>
+        <input type="text" id="recipe-name-input" class="setting-input" placeholder="File expense report for {{amount}} on {{date}}" />
+        <label for="recipe-description-input">Description</label>
+        <input type="text" id="recipe-description-input" class="setting-input" />
+        <label for="recipe-start-url-input">Starting URL (optional)</label>
+        <input type="text" id="recipe-start-url-input" class="setting-input" placeholder="https://expenses.example.com" />
+        <label for="recipe-plan-input">Plan (one step per line)</label>
+        <textarea id="recipe-plan-input" class="setting-input"></textarea>
+        <label>Parameters</label>
+        <div id="recipe-parameters"></div>
+      </div>
+    `;
+    const nameInput = document.getElementById('recipe-name-input');
+    const descriptionInput = document.getElementById('recipe-description-input');
+    const startUrlInput = document.getElementById('recipe-start-url-input');
+    const planInput = document.getElementById('recipe-plan-input');
+    const parametersContainer = document.getElementById('recipe-parameters');
+    nameInput.value = draft.name || '';
+    descriptionInput.value = draft.description || '';
+    startUrlInput.value = draft.startUrl || '';
+    planInput.value = (draft.plan || []).join('\n');
+
+    // Parameter settings typed so far, kept while placeholders come and go
+    const parameterSettings = {};
+    (draft.parameters || []).forEach((parameter) => {
+      parameterSettings[parameter.name] = { ...parameter };
+    });
+    const readParameterRows = () => {
+      parametersContainer.querySelectorAll('.recipe-parameter').forEach((row) => {
+        parameterSettings[row.dataset.name] = {
+          name: row.dataset.name,
+          label: row.querySelector('.recipe-label').value.trim(),
+          type: row.querySelector('.recipe-type').value,
+          required: row.querySelector('.recipe-required').checked,
+          defaultValue: row.querySelector('.recipe-default').value,
+        };
+      });
+    };
+    const renderParameterRows = () => {
+      readParameterRows();
+      const names = findRecipeParameters([nameInput.value, startUrlInput.value, ...planInput.value.split('\n')]);
+      parametersContainer.innerHTML = names.length === 0
+        ? '<div class="history-meta">None. Replace the values that change between runs with {{name}} placeholders.</div>'
+        : names.map((name) => {
+          const parameter = { label: name, type: 'text', required: true, defaultValue: '', ...parameterSettings[name] };
+          return `
+            <div class="recipe-parameter" data-name="${escapeHtml(name)}">
+              <code>{{${escapeHtml(name)}}}</code>
+              <input type="text" class="setting-input recipe-label" placeholder="Label" value="${escapeHtml(parameter.label)}" />
+              <select class="setting-input recipe-type">
+                ${Object.keys(RECIPE_PARAMETER_TYPES).map(type => `<option value="${type}"${type === parameter.type ? ' selected' : ''}>${type}</option>`).join('')}
+              </select>
+              <label class="checkbox-label"><input type="checkbox" class="recipe-required"${parameter.required ? ' checked' : ''} /> Required</label>
+              <input type="text" class="setting-input recipe-default" placeholder="Default value (optional)" value="${escapeHtml(parameter.defaultValue)}" />
+            </div>
+          `;
+        }).join('');
+    };
+    [nameInput, startUrlInput, planInput].forEach(input => input.addEventListener('change', renderParameterRows));
+    renderParameterRows();
+
+    footer.innerHTML = `
+      <button id="cancel-recipe-btn" class="footer-btn secondary">Cancel</button>
+      <button id="store-recipe-btn" class="footer-btn">Save Recipe</button>
+    `;
+    document.getElementById('cancel-recipe-btn').addEventListener('click', () => (draft.id ? showRecipeDetail(draft) : populateRecipeList()));
+    document.getElementById('store-recipe-btn').addEventListener('click', async () => {
+      renderParameterRows();
+      // Match the edited lines to the saved steps so the loops follow their steps
+      const plan = planInput.value.split('\n').map(step => step.trim()).filter(Boolean);
+      const matched = [];
+      const stepOrigins = plan.map((step) => {
+        const origin = (draft.plan || []).findIndex((savedStep, index) => savedStep === step && !matched.includes(index));
+        if (origin === -1) return null;
+        matched.push(origin);
+        return origin;
+      });
+      let recipe;
+      try {
+        recipe = normalizeRecipe({
+          ...draft,
+          name: nameInput.value,
+          description: descriptionInput.value,
+          startUrl: startUrlInput.value,
+          plan,
+          loops: remapPlanLoops(draft.loops || [], stepOrigins),
+          parameters: Object.values(parameterSettings),
+        });
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      await saveRecipes([recipe]);
+      showRecipeDetail(recipe);
+    });
+  }
+
+  // --- Schedules View ---
+  // The list and the editor share the view; one is shown at a time
+  function showSchedulePanel(panel) {
+    [scheduleList, scheduleEditor].forEach((element) => {
+      element.style.display = element === panel ? '' : 'none';
+    });
+  }
+
+  function describeLastRun(lastRun) {
+    if (!lastRun) return 'Not run yet';
+    return `Last run ${new Date(lastRun.at).toLocaleString()}: ${lastRun.status}${lastRun.message ? ` (${lastRun.message})` : ''}`;
+  }
+
+  async function populateScheduleList() {
+    showSchedulePanel(scheduleList);
+    footer.innerHTML = '';
+    const schedules = (await getSchedules()).sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+    scheduleList.innerHTML = schedules.length === 0
+      ? '<div class="plan-message">No schedules yet. Write a goal, review a plan or open a recipe, then choose Schedule.</div>'
+      : schedules.map(schedule => `
+        <li class="history-item schedule-item${schedule.enabled ? '' : ' schedule-off'}" data-schedule-id="${escapeHtml(schedule.id)}">
+          <div class="step-title">${escapeHtml(schedule.name)}</div>
+          <div class="history-meta">${escapeHtml(describeSchedule(schedule.when))} · ${schedule.enabled ? `next ${new Date(schedule.nextRunAt).toLocaleString()}` : 'off'}</div>
+          <div class="history-meta">${escapeHtml(describeScheduleTarget(schedule.target))}</div>
+          <div class="history-meta">${escapeHtml(describeLastRun(schedule.lastRun))}</div>
+          <div class="schedule-actions">
+            <button class="footer-btn secondary schedule-edit-btn">Edit</button>
+            <button class="footer-btn secondary schedule-toggle-btn">${schedule.enabled ? 'Turn Off' : 'Turn On'}</button>
+            <button class="footer-btn danger schedule-delete-btn">Delete</button>
+          </div>
+        </li>
+      `).join('');
+
+    scheduleList.querySelectorAll('.schedule-item').forEach((item) => {
+      const schedule = schedules.find(entry => entry.id === item.dataset.scheduleId);
+      item.querySelector('.schedule-edit-btn').addEventListener('click', () => showScheduleEditor(schedule));
+      item.querySelector('.schedule-toggle-btn').addEventListener('click', async () => {
+        try {
+          await saveSchedule({ ...schedule, enabled: !schedule.enabled });
+        } catch (error) {
+          alert(error.message);
+          return;
+        }
+        populateScheduleList();
+      });
+      item.querySelector('.schedule-delete-btn').addEventListener('click', async () => {
+        if (!confirm(`Delete the schedule "${schedule.name}"?`)) return;
+        await deleteSchedule(schedule.id);
+        populateScheduleList();
+      });
+    });
+  }
+
+  // A timestamp as the value of a datetime-local input, in local time
+  function toDateTimeInputValue(timestamp) {
+    const date = new Date(timestamp);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().substring(0, 16);
+  }
+
+  // Edits a new schedule (from the chat, plan or recipe view) or an existing one
+  function showScheduleEditor(draft) {
+    showSchedulePanel(scheduleEditor);
+    headerTitle.textContent = draft.id ? 'Edit Schedule' : 'New Schedule';
+    const when = draft.when || { type: 'once', at: Math.ceil(Date.now() / 3600000) * 3600000 }; // Default: the next full hour
+    scheduleEditor.innerHTML = `
+      <div class="schedule-form">
+        <div class="history-meta">${escapeHtml(describeScheduleTarget(draft.target))}</div>
+        <label for="schedule-name-input">Name</label>
+        <input type="text" id="schedule-name-input" class="setting-input" />
+        <label for="schedule-type-select">Runs</label>
+        <select id="schedule-type-select" class="setting-input">
+          <option value="once">Once</option>
+          <option value="recurring">On a schedule</option>
+        </select>
+        <label for="schedule-at-input" data-schedule-type="once">At</label>
+        <input type="datetime-local" id="schedule-at-input" class="setting-input" data-schedule-type="once" />
+        <label for="schedule-recurrence-input" data-schedule-type="recurring">When (e.g. "weekdays 9:00", "daily 18:30", "mon,wed,fri 8:15")</label>
+        <input type="text" id="schedule-recurrence-input" class="setting-input" data-schedule-type="recurring" placeholder="weekdays 9:00" />
+        <div class="history-meta">The run opens a tab of its own. You get a notification when it needs you and when it ends.</div>
+      </div>
+    `;
+    const nameInput = document.getElementById('schedule-name-input');
+    const typeSelect = document.getElementById('schedule-type-select');
+    const atInput = document.getElementById('schedule-at-input');
+    const recurrenceInput = document.getElementById('schedule-recurrence-input');
+    nameInput.value = draft.name || '';
+    typeSelect.value = when.type;
+    atInput.value = toDateTimeInputValue(when.type === 'once' ? when.at : Date.now());
+    recurrenceInput.value = when.type === 'recurring' ? describeSchedule(when).replace(' at ', ' ') : '';
+    const updateTypeFields = () => {
+      scheduleEditor.querySelectorAll('[data-schedule-type]').forEach((element) => {
+        element.style.display = element.dataset.scheduleType === typeSelect.value ? '' : 'none';
+      });
+    };
+    typeSelect.addEventListener('change', updateTypeFields);
+    updateTypeFields();
+
+    footer.innerHTML = `
+      <button id="cancel-schedule-btn" class="footer-btn secondary">Cancel</button>
+      <button id="store-schedule-btn" class="footer-btn">Save Schedule</button>
+    `;
+    document.getElementById('cancel-schedule-btn').addEventListener('click', populateScheduleList);
+    document.getElementById('store-schedule-btn').addEventListener('click', async () => {
+      try {
+        const name = nameInput.value.trim();
+        if (!name) throw new Error('A schedule needs a name.');
+        const at = new Date(atInput.value).getTime();
+        if (typeSelect.value === 'once' && Number.isNaN(at)) throw new Error('Choose when the run should start.');
+        await saveSchedule({
+          ...draft,
+          name,
+          when: typeSelect.value === 'once' ? { type: 'once', at } : parseRecurringSchedule(recurrenceInput.value),
+          enabled: true,
+        });
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      populateScheduleList();
+    });
+  }
+
+  // --- History View ---
+  async function populateHistoryList() {
+    const historyList = document.getElementById('history-list');
+    document.getElementById('history-detail').style.display = 'none';
+    historyList.style.display = '';
+
+    const runs = await getRunHistory();
+    if (runs.length === 0) {
+      historyList.innerHTML = '<div class="plan-message">No runs recorded yet.</div>';
+      return;
+    }
+    historyList.innerHTML = runs.map(run => `
+      <li class="history-item status-${run.status.toLowerCase()}" data-run-id="${run.id}">
+        <div class="step-title">${escapeHtml(run.goal || 'Untitled run')}</div>
+        <div class="history-meta">${run.status} · ${new Date(run.startedAt).toLocaleString()} · ${run.decisionCount} decisions</div>
+      </li>
+    `).join('');
+    historyList.querySelectorAll('.history-item').forEach((item) => {
+      item.addEventListener('click', () => showRunDetail(item.dataset.runId));
+    });
+  }
+
+  async function showRunDetail(runId) {
+    const record = await getRunRecord(runId);
+    if (!record) {
+      populateHistoryList();
+      return;
+    }
+    const historyDetail = document.getElementById('history-detail');
+    document.getElementById('history-list').style.display = 'none';
+    historyDetail.style.display = '';
+    headerTitle.textContent = record.goal || 'Run details';
+
+    const planHtml = record.plan.map((step, index) => `<div class="plan-step">${index + 1}. ${escapeHtml(step)}</div>`).join('');
+    const decisionsHtml = record.transcript.map((entry, index) => {
+      const result = entry.result
+        ? `${entry.result.success ? '✅' : '❌'} ${escapeHtml(entry.result.message)}`
+        : '—';
+      return `
+        <div class="history-decision">
+          <div class="step-title">#${index + 1} ${escapeHtml(entry.action)} · ${escapeHtml(entry.step)}${entry.source === 'replay' ? ' · replayed' : ''}${entry.approval ? ` · ${entry.approval} by user` : ''}</div>
+          <div>${escapeHtml(entry.data?.summary)}</div>
+          <div class="history-meta">
+            ${new Date(entry.timestamp).toLocaleTimeString()}
+            ${entry.data?.id ? ` · id ${escapeHtml(entry.data.id)}` : ''}
+            ${entry.selector ? ` · <code>${escapeHtml(entry.selector)}</code>` : ''}
+          </div>
+          <div class="history-meta">Result: ${result}</div>
+        </div>
+      `;
+    }).join('');
+
+    historyDetail.innerHTML = `
+      <div class="history-meta">${record.status} · ${new Date(record.startedAt).toLocaleString()}</div>
+      ${record.usage ? `<div class="history-meta">${escapeHtml(formatRunUsage(record.usage, record.endedAt - record.startedAt - (record.pausedMs || 0), {}))}</div>` : ''}
+      ${record.stopReason ? `<div class="history-meta">${escapeHtml(record.stopReason)}</div>` : ''}
+      ${record.recipe ? `<div class="history-meta">Run from the recipe "${escapeHtml(record.recipe.name)}"</div>` : ''}
+      ${record.schedule ? `<div class="history-meta">Started by the schedule "${escapeHtml(record.schedule.name)}"</div>` : ''}
+      ${record.group ? `<div class="history-meta">"${escapeHtml(record.group.title)}", one of several runs in parallel</div>` : ''}
+      ${record.answers?.length > 0 ? `<h3>Answers</h3>${record.answers.map(({ question, answer }) => `<div class="plan-step">${escapeHtml(question)} <strong>${escapeHtml(answer || '(not answered)')}</strong></div>`).join('')}` : ''}
+      <h3>Plan</h3>
+      ${planHtml}
+      <div id="history-extracted-data"></div>
+      <h3>Executor decisions</h3>
+      ${decisionsHtml || '<div class="plan-message">No decisions were recorded.</div>'}
+    `;
+    renderExtractedData(document.getElementById('history-extracted-data'), record.extractedRows, record.outputSchema, record.id);
+    renderRunDetailFooter(record);
+  }
+
+  function renderRunDetailFooter(record) {
+    footer.innerHTML = `
+      <button id="history-back-btn" class="footer-btn secondary">Back</button>
+      <button id="export-json-btn" class="footer-btn secondary">Export JSON</button>
+      <button id="export-html-btn" class="footer-btn secondary">Export Report</button>
+      <button id="replay-run-btn" class="footer-btn">Replay</button>
+      <button id="delete-run-btn" class="footer-btn danger">Delete</button>
+    `;
+    document.getElementById('history-back-btn').addEventListener('click', () => showView('history'));
+    document.getElementById('replay-run-btn').addEventListener('click', () => startReplay(record));
+    document.getElementById('export-json-btn').addEventListener('click', () => {
+      downloadFile(`agent-run-${record.id}.json`, buildTranscriptJson(record), 'application/json');
+    });
+    document.getElementById('export-html-btn').addEventListener('click', async () => {
+      const screenshots = await getRunScreenshots(record);
+      downloadFile(`agent-run-${record.id}.html`, buildRunReportHtml(record, screenshots), 'text/html');
+    });
+    document.getElementById('delete-run-btn').addEventListener('click', async () => {
+      if (!confirm('Delete this run from the history?')) return;
+      await deleteRunRecord(record.id);
+      showView('history');
+    });
+  }
+
+  function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // --- Extracted Data ---
+  // Renders the rows collected by EXTRACT actions as a table with CSV/JSON downloads
+  function renderExtractedData(container, rows = [], outputSchema = null, runId = 'run') {
+    if (!outputSchema && rows.length === 0) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+    container.style.display = '';
+    const columns = getExtractionColumns(rows, outputSchema);
+    const tableHtml = rows.length === 0
+      ? '<div class="plan-message">No data extracted yet.</div>'
+      : `
+        <div class="extracted-table-wrapper">
+          <table class="extracted-table">
+            <thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+            <tbody>
+              ${rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(formatCellValue(row[column]))}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+          </table>
+        </div>`;
+    container.innerHTML = `
+      <div class="extracted-header">
+        <h3>Extracted data (${rows.length} rows)</h3>
+        <div>
+          ${rows.length > 0 ? '<a href="#" class="download-csv">CSV</a><a href="#" class="download-json">JSON</a>' : ''}
+        </div>
+      </div>
+      ${tableHtml}
+    `;
+    container.querySelector('.download-csv')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      downloadFile(`agent-data-${runId}.csv`, rowsToCsv(rows, columns), 'text/csv');
+    });
+    container.querySelector('.download-json')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      downloadFile(`agent-data-${runId}.json`, rowsToJson(rows), 'application/json');
+    });
+  }
+
+  // Shows the flagged action with its target outlined on the screenshot it was chosen from
+  async function renderApprovalRequest(container, decision) {
+    if (decision?.type !== 'approval') {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      delete container.dataset.requestedAt;
+      return;
+    }
+    if (container.dataset.requestedAt === String(decision.requestedAt)) return; // Already shown
+    container.dataset.requestedAt = decision.requestedAt;
+
+    const reasons = decision.reasons.length > 0
+      ? `<ul class="approval-reasons">${decision.reasons.map(reason => `<li>It ${escapeHtml(reason)}</li>`).join('')}</ul>`
+      : '';
+    container.innerHTML = `
+      <h3>Approve this action?</h3>
+      <div class="approval-summary">${escapeHtml(decision.action.action)}: ${escapeHtml(decision.action.data.summary)}</div>
+      ${decision.action.data.text ? `<div class="history-meta">Text: ${escapeHtml(decision.action.data.text)}</div>` : ''}
+      ${reasons}
+      <div class="approval-screenshot"></div>
+    `;
+    container.style.display = '';
+
+    const { [decision.screenshotKey]: screenshot } = decision.screenshotKey
+      ? await chrome.storage.local.get(decision.screenshotKey)
+      : {};
+    if (!screenshot || container.dataset.requestedAt !== String(decision.requestedAt)) return;
+    const { targetRect: rect, viewport } = decision;
+    const highlight = rect && viewport ? `
+      <div class="approval-highlight" style="left: ${(rect.x / viewport.width) * 100}%; top: ${(rect.y / viewport.height) * 100}%;
+        width: ${(rect.width / viewport.width) * 100}%; height: ${(rect.height / viewport.height) * 100}%;"></div>
+    ` : '';
+    container.querySelector('.approval-screenshot').innerHTML = `
+      <img src="data:image/jpeg;base64,${screenshot}" alt="The page when the action was chosen" />
+      ${highlight}
+    `;
+  }
+
+  // --- Questions for the User ---
+  // The planner's clarifying questions and the executor's ASK_USER questions share one form
+
+  function renderQuestionFields(questions, idPrefix) {
+    return questions.map((item) => {
+      const id = `${idPrefix}-${item.id}`;
+      const field = item.answerType === 'choice'
+        ? `<select id="${id}" class="setting-input" data-question-id="${item.id}">
+            <option value="">Choose...</option>
+            ${item.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+          </select>`
+        : `<input type="${item.answerType}" id="${id}" class="setting-input" data-question-id="${item.id}" />`;
+      return `<label for="${id}">${escapeHtml(item.question)}${item.required ? '' : ' (optional)'}</label>${field}`;
+    }).join('');
+  }
+
+  // Returns the checked answers (see validateClarifyingAnswers), or null after telling the user what is missing
+  function readQuestionAnswers(container, questions) {
+    const values = {};
+    container.querySelectorAll('[data-question-id]').forEach((input) => {
+      values[input.dataset.questionId] = input.value;
+    });
+    try {
+      return validateClarifyingAnswers(questions, values);
+    } catch (error) {
+      alert(error.message);
+      return null;
+    }
+  }
+
+  // Shows the executor's questions; the footer sends the answers
+  function renderQuestionRequest(container, decision) {
+    if (decision?.type !== 'question') {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      delete container.dataset.requestedAt;
+      return;
+    }
+    if (container.dataset.requestedAt === String(decision.requestedAt)) return; // Keep what was typed
+    container.dataset.requestedAt = decision.requestedAt;
+    container.innerHTML = `
+      <h3>The agent has a question</h3>
+      ${decision.summary ? `<div class="history-meta">${escapeHtml(decision.summary)}</div>` : ''}
+      <div class="question-form">${renderQuestionFields(decision.questions, 'run-question')}</div>
+    `;
+    container.style.display = '';
+    container.querySelector('[data-question-id]')?.focus();
+  }
+
+  // The planner found the request too vague: ask before planning
+  function showClarifyingQuestions(questions) {
+    showView('chat');
+    headerTitle.textContent = 'A few questions first';
+    clarifyQuestions.innerHTML = `
+      <div class="history-meta">Answer these so the plan doesn't have to guess.</div>
+      <div class="question-form">${renderQuestionFields(questions, 'clarify-question')}</div>
+    `;
+    clarifyQuestions.style.display = '';
+    clarifyQuestions.querySelector('[data-question-id]')?.focus();
+    footer.innerHTML = `
+      <button id="skip-questions-btn" class="footer-btn secondary">Plan Without Answers</button>
+      <button id="answer-questions-btn" class="footer-btn">Continue</button>
+    `;
+    document.getElementById('skip-questions-btn').addEventListener('click', () => {
+      state.answers = [];
+      requestPlan();
+    });
+    document.getElementById('answer-questions-btn').addEventListener('click', () => {
+      const answers = readQuestionAnswers(clarifyQuestions, questions);
+      if (!answers) return;
+      state.answers = answers;
+      requestPlan();
+    });
+  }
+
+  function formatCellValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
 
   // --- NEW: Central handler for agent state changes ---
   function handleAgentStateChange(agentState) {
@@ -147,7 +1375,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // --- NEW: Updates footer based on agent state ---
   function updateFooter(agentState) {
-    if (agentState.isRunning) {
+    if (agentState.pendingDecision?.type === 'replan') {
+      renderReplanPendingFooter(agentState.pendingDecision);
+    } else if (agentState.pendingDecision?.type === 'approval') {
+      renderApprovalFooter();
+    } else if (agentState.pendingDecision?.type === 'confirmStep') {
+      renderStepConfirmationFooter();
+    } else if (agentState.pendingDecision?.type === 'question') {
+      renderQuestionFooter(agentState.pendingDecision);
+    } else if (agentState.isRunning) {
       renderProgressFooter(agentState.isPaused);
     } else {
       // Agent is stopped, completed, or has failed
@@ -157,36 +1393,252 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // --- UPDATED: Dynamic Content Population ---
-  function populatePlanView(planData) {
-    const planStepsContainer = document.getElementById('plan-steps');
+  function populatePlanView(planData, loops = [], parallel = []) {
     // planData can be a plan array, a loading message, or an error message.
     if (typeof planData === 'string') {
       state.planData = [planData]; // Store the message in state
-
-      planStepsContainer.innerHTML = `<div class="plan-message">${planData}</div>`;
+      state.loops = [];
+      state.parallel = [];
+      state.confirmSteps = [];
+      planEditor = null;
+      planSteps.innerHTML = `<div class="plan-message">${planData}</div>`;
+      planParallel.innerHTML = '';
     } else if (Array.isArray(planData)) {
-      state.planData = planData; // Store the plan data in state
-      planStepsContainer.innerHTML = planData
-        .map((step, index) => `<div class="plan-step">${index + 1}. ${step}</div>`)
-        .join('');
+      state.parallel = parallel;
+      openPlanEditor(planData, loops);
+      planParallel.innerHTML = parallel.length > 0 ? `
+        <h3>Or run ${parallel.length} parts in parallel, each in its own tab</h3>
+        ${parallel.map(part => `
+          <details class="parallel-part">
+            <summary>${escapeHtml(part.title)} (${part.plan.length} steps)</summary>
+            ${part.plan.map((step, index) => `<div class="plan-step">${index + 1}. ${escapeHtml(step)}</div>`).join('')}
+          </details>
+        `).join('')}
+      ` : '';
     }
   }
 
+  // --- Plan Editor ---
+  // The plan view edits the steps in place. Before a run, every change is copied to state.planData,
+  // state.loops and state.confirmSteps; for a paused run, the edit is sent when saved.
+
+  /**
+   * Shows steps for editing. Loops follow their steps as they are moved (see remapPlanLoops).
+   * @param {string[]} plan
+   * @param {object[]} loops - See normalizePlanLoops.
+   * @param {number[]} [confirmSteps] - Indexes of the steps marked for confirmation.
+   * @param {number} [doneCount] - How many steps a paused run has done; these can't be edited.
+   * @param {string|null} [runId] - The paused run being edited, or null before a run.
+   */
+  function openPlanEditor(plan, loops, confirmSteps = [], doneCount = 0, runId = null) {
+    planEditor = {
+      runId,
+      loops,
+      steps: plan.map((text, index) => ({ text, confirm: confirmSteps.includes(index), origin: index, done: index < doneCount })),
+      draggedIndex: null,
+    };
+    renderPlanEditor();
+  }
+
+  // The edited plan, as a run takes it
+  function readPlanEditor() {
+    const { steps, loops } = planEditor;
+    const stepOrigins = steps.map(step => step.origin);
+    return {
+      plan: steps.map(step => step.text.trim()),
+      stepOrigins,
+      loops: remapPlanLoops(loops, stepOrigins),
+      confirmSteps: steps.map((step, index) => (step.confirm ? index : null)).filter(index => index !== null),
+    };
+  }
+
+  function syncPlanFromEditor() {
+    if (planEditor.runId) return;
+    const { plan, loops, confirmSteps } = readPlanEditor();
+    state.planData = plan;
+    state.loops = loops;
+    state.confirmSteps = confirmSteps;
+  }
+
+  // Alerts about an empty step; returns whether the plan can be used
+  function checkPlanSteps() {
+    const emptyIndex = planEditor ? planEditor.steps.findIndex(step => !step.text.trim()) : -1;
+    if (emptyIndex === -1) return true;
+    alert(`Step ${emptyIndex + 1} is empty. Write it or delete it.`);
+    return false;
+  }
+
+  function renderPlanEditor() {
+    const { loops } = readPlanEditor();
+    planSteps.innerHTML = planEditor.steps.map((step, index) => {
+      const loop = loops.find(item => index >= item.startStep && index <= item.endStep);
+      const loopNote = loop && loop.startStep === index
+        ? `<div class="plan-loop">🔁 ${escapeHtml(describePlanLoop(loop))}</div>`
+        : '';
+      if (step.done) {
+        return `${loopNote}<div class="plan-step done${loop ? ' in-loop' : ''}">${index + 1}. ${escapeHtml(step.text)}</div>`;
+      }
+      return `${loopNote}
+        <div class="plan-step editable${loop ? ' in-loop' : ''}${step.confirm ? ' needs-confirmation' : ''}" data-index="${index}">
+          <span class="step-drag-handle" title="Drag to reorder">⋮⋮</span>
+          <span class="step-number">${index + 1}.</span>
+          <textarea class="step-text" rows="2" placeholder="Describe the step">${escapeHtml(step.text)}</textarea>
+          <span class="step-tools">
+            <button class="step-tool${step.confirm ? ' on' : ''}" data-action="confirm" title="Ask me before starting this step">✋</button>
+            <button class="step-tool" data-action="insert" title="Insert a step below">+</button>
+            <button class="step-tool" data-action="delete" title="Delete this step">✕</button>
+          </span>
+        </div>
+      `;
+    }).join('') + '<button class="footer-btn secondary add-step-btn" data-action="add">Add Step</button>';
+  }
+
+  // Inserts an empty step and puts the cursor in it
+  function insertPlanStep(index) {
+    planEditor.steps.splice(index, 0, { text: '', confirm: false, origin: null, done: false });
+    syncPlanFromEditor();
+    renderPlanEditor();
+    planSteps.querySelector(`.plan-step[data-index="${index}"] .step-text`)?.focus();
+  }
+
+  planSteps.addEventListener('input', (event) => {
+    const row = event.target.closest('.plan-step.editable');
+    if (!planEditor || !row || !event.target.classList.contains('step-text')) return;
+    planEditor.steps[Number(row.dataset.index)].text = event.target.value;
+    syncPlanFromEditor();
+  });
+
+  planSteps.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!planEditor || !button) return;
+    const row = button.closest('.plan-step.editable');
+    const index = row ? Number(row.dataset.index) : -1;
+    switch (button.dataset.action) {
+      case 'confirm':
+        planEditor.steps[index].confirm = !planEditor.steps[index].confirm;
+        break;
+      case 'insert':
+        insertPlanStep(index + 1);
+        return;
+      case 'add':
+        insertPlanStep(planEditor.steps.length);
+        return;
+      case 'delete':
+        if (planEditor.steps.filter(step => !step.done).length === 1) {
+          alert('A plan needs at least one step to do.');
+          return;
+        }
+        planEditor.steps.splice(index, 1);
+        break;
+    }
+    syncPlanFromEditor();
+    renderPlanEditor();
+  });
+
+  // Steps are dragged by their handle, so text in a step can still be selected with the mouse
+  planSteps.addEventListener('mousedown', (event) => {
+    const row = event.target.closest('.plan-step.editable');
+    if (row) row.draggable = event.target.classList.contains('step-drag-handle');
+  });
+
+  planSteps.addEventListener('dragstart', (event) => {
+    const row = event.target.closest('.plan-step.editable');
+    if (!planEditor || !row) return;
+    planEditor.draggedIndex = Number(row.dataset.index);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+
+  planSteps.addEventListener('dragover', (event) => {
+    const row = event.target.closest('.plan-step.editable');
+    if (!planEditor || planEditor.draggedIndex === null || !row) return;
+    event.preventDefault(); // Allows dropping here; steps already done don't take drops
+    planSteps.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+    row.classList.add('drop-target');
+  });
+
+  planSteps.addEventListener('drop', (event) => {
+    const row = event.target.closest('.plan-step.editable');
+    if (!planEditor || planEditor.draggedIndex === null || !row) return;
+    event.preventDefault();
+    const [moved] = planEditor.steps.splice(planEditor.draggedIndex, 1);
+    planEditor.steps.splice(Number(row.dataset.index), 0, moved);
+    planEditor.draggedIndex = null;
+    syncPlanFromEditor();
+    renderPlanEditor();
+  });
+
+  planSteps.addEventListener('dragend', () => {
+    if (planEditor) planEditor.draggedIndex = null;
+    planSteps.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+  });
+
+  // Edits the steps a paused run has left; the run picks them up when it resumes
+  function showRunPlanEditor() {
+    const runId = selectedRunId;
+    const { plan, loops, confirmSteps, currentStepIndex } = runState;
+    showView('plan');
+    headerTitle.textContent = 'Edit Remaining Steps';
+    planParallel.innerHTML = '';
+    openPlanEditor(plan, loops, confirmSteps, currentStepIndex, runId);
+    footer.innerHTML = `
+      <button id="cancel-plan-edit-btn" class="footer-btn secondary">Cancel</button>
+      <button id="save-plan-edit-btn" class="footer-btn">Save Changes</button>
+    `;
+    document.getElementById('cancel-plan-edit-btn').addEventListener('click', () => showView('progress'));
+    document.getElementById('save-plan-edit-btn').addEventListener('click', () => {
+      if (!checkPlanSteps()) return;
+      if (!runStates[runId]?.isPaused) {
+        alert('The run is no longer paused, so its plan can\'t be changed. Pause it and try again.');
+        return;
+      }
+      if (runStates[runId].isActing) {
+        alert('The agent is still finishing its current action. Wait a moment and save again.');
+        return;
+      }
+      const { plan: editedPlan, stepOrigins, confirmSteps: editedConfirmSteps } = readPlanEditor();
+      sendRunCommand('editPlan', { runId, plan: editedPlan, stepOrigins, confirmSteps: editedConfirmSteps });
+    });
+  }
+
+  // Shows the steps the planner wants to replace next to its revision, for approval
+  function showReplanReview(decision) {
+    state.reviewedDecisionAt = decision.requestedAt;
+    showView('plan');
+    headerTitle.textContent = 'Revised Plan';
+    planEditor = null;
+    planParallel.innerHTML = '';
+    const doneSteps = runState.plan.slice(0, decision.fromStep)
+      .map((step, index) => `<div class="plan-step done">${index + 1}. ${escapeHtml(step)}</div>`)
+      .join('');
+    const changedSteps = diffPlanSteps(decision.oldSteps, decision.newSteps)
+      .map(change => `<div class="plan-step diff-${change.type}">${escapeHtml(change.text)}</div>`)
+      .join('');
+    planSteps.innerHTML = `
+      <div class="plan-message">The agent got stuck: ${escapeHtml(decision.stuckReason)}.</div>
+      ${decision.explanation ? `<div class="replan-explanation">${escapeHtml(decision.explanation)}</div>` : ''}
+      ${doneSteps}${changedSteps}
+    `;
+    renderReplanReviewFooter();
+  }
+
   function populateProgressView(state) {
     // ... (This function remains the same)
     const progressStepsContainer = document.getElementById('progress-steps');
     progressStepsContainer.innerHTML = state.logs.mainStep.map((mainStep, index) => {
       const subStepsHtml = (state.logs.subStep[index] || []).map(subStep => {
-        return `<li class="substep status-${subStep.status.toLowerCase()}">${subStep.name}</li>`;
+        return `<li class="substep status-${subStep.status.toLowerCase()}">${escapeHtml(subStep.name)}</li>`;
       }).join('');
 
       return `
                 <li class="main-step status-${mainStep.status.toLowerCase()}">
-                    <div class="step-title">${mainStep.name}</div>
+                    <div class="step-title">${mainStep.iteration ? `<span class="iteration-badge">Iteration ${mainStep.iteration}</span> ` : ''}${escapeHtml(mainStep.name)}</div>
                     <ul class="substeps">${subStepsHtml}</ul>
                 </li>
             `;
     }).join('');
+    renderExtractedData(document.getElementById('extracted-data'), state.extractedRows, state.outputSchema, state.runId);
+    renderApprovalRequest(document.getElementById('approval-request'), state.pendingDecision);
+    renderQuestionRequest(document.getElementById('question-request'), state.pendingDecision);
 
     // Autoscroll to the bottom of the main content area
     const mainContentArea = document.querySelector('main');
@@ -196,9 +1648,20 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // --- NEW: Asynchronous Plan Request Handler ---
-  async function handlePlanRequest() {
+  // A new request: the planner may ask clarifying questions before it plans
+  function handlePlanRequest() {
+    if (!promptInput.value.trim()) return;
+    state.answers = null;
+    state.planUsage = [];
+    resetMockProvider();
+    requestPlan();
+  }
+
+  // Plans the request in the prompt, with the answers to the planner's questions once they are in
+  async function requestPlan() {
     const userQuery = promptInput.value.trim();
     if (!userQuery) return;
+    state.goal = userQuery;
 
     // 1. Switch to the plan view and show a loading state
     showView('plan');
@@ -206,9 +1669,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 2. Call the agent logic to get the plan
     try {
-      const plan = await agentData.getPlan(userQuery);
+      state.outputSchema = parseOutputSchema(outputSchemaInput.value);
+      const { plan, loops, parallel, questions, usage } = await agentData.getPlan(userQuery, state.outputSchema, null, {
+        askQuestions: state.answers === null,
+        answers: state.answers || [],
+      });
+      state.planUsage = [...state.planUsage, usage];
+      if (questions) {
+        showClarifyingQuestions(questions);
+        return;
+      }
       // 3. If successful, populate the view with the plan and show the start footer
-      populatePlanView(plan);
+      populatePlanView(plan, loops, parallel);
       renderPlanFooter();
     } catch (error) {
       // 4. If it fails, show an error message and the retry footer
@@ -218,12 +1690,36 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // --- Event Listeners ---
+  historyBtn.addEventListener('click', () => showView('history'));
+  recipesBtn.addEventListener('click', () => showView('recipes'));
+  schedulesBtn.addEventListener('click', () => showView('schedules'));
+  // The worker records scheduled runs as they start and end
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SCHEDULES_STORAGE_KEY] && state.currentView === 'schedules'
+      && scheduleList.style.display !== 'none') {
+      populateScheduleList();
+    }
+  });
+  recipeImportInput.addEventListener('change', () => {
+    const [file] = recipeImportInput.files;
+    recipeImportInput.value = ''; // Allow importing the same file again
+    if (file) importRecipes(file);
+  });
   settingsBtn.addEventListener('click', () => showView('settings'));
   newTaskBtn.addEventListener('click', () => {
     promptInput.value = '';
-    agent = null; // Clear agent instance
+    outputSchemaInput.value = '';
+    // A finished run is discarded; runs still going stay under Runs
+    if (runState && !runState.isRunning) dismissRun();
     showView('chat');
   });
+  runsBtn.addEventListener('click', () => showView('progress'));
+  runSwitcher.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-run-id]');
+    if (!button) return;
+    selectRun(button.dataset.runId);
+    showView('progress');
+  });
 
   // UPDATED: The event listener now calls the new async handler
   promptInput.addEventListener('keydown', (e) => {
@@ -233,6 +1729,18 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  agentTabColorSelect.innerHTML = AGENT_TAB_GROUP_COLORS.map(color => `<option value="${color}">${color}</option>`).join('');
+  providerSelect.addEventListener('change', updateProviderFields);
+  testConnectionBtn.addEventListener('click', testConnection);
+
+  // Settings saved elsewhere (another panel, the splash screen) show up in an open Settings view
+  onSettingsChanged(() => {
+    if (state.currentView === 'settings') {
+      populateProviderSettings();
+      populatePageSettings();
+    }
+  });
+
   toggleApiKeyBtn.addEventListener('click', (e) => {
     e.preventDefault();
     const isPassword = apiKeyInput.type === 'password';
@@ -241,5 +1749,16 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // --- Initial Load ---
-  showView('chat');
+  // Settings come from chrome.storage, so wait for them before anything reads them
+  settingsReady.then(() => {
+    showView('chat');
+    connectToRunHost();
+  });
+  // The time counter moves even while no state update arrives (e.g. during a model call)
+  setInterval(() => {
+    const counters = footer.querySelector('.budget-counters');
+    if (counters && runState?.isRunning && !runState.isPaused) {
+      counters.textContent = formatRunUsage(runState.usage, getRunActiveMs(runState), runState.budget);
+    }
+  }, 1000);
 });
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * This library decides where the agent may navigate. The background worker checks every
+ * NAVIGATE/OPEN_TAB URL, every link or form the executor is about to activate and every page
+ * an action lands on; the side panel edits the settings.
+ */
+
+const DEFAULT_NAVIGATION_SETTINGS = {
+  allowedDomains: [], // When not empty, only these domains may be visited
+  blockedDomains: [],
+  stayInStartOrigin: false, // Keep the agent on the origin the run started on
+  blockUnsafeSchemes: true, // Refuse UNSAFE_URL_SCHEMES
+};
+
+const UNSAFE_URL_SCHEMES = ['javascript:', 'data:', 'file:'];
+
+/**
+ * Reads the navigation settings saved from the Settings view.
+ * @returns {object} See DEFAULT_NAVIGATION_SETTINGS.
+ */
+function getNavigationSettings() {
+  return { ...DEFAULT_NAVIGATION_SETTINGS, ...getSettingsSection('navigation') };
+}
+
+/**
+ * Splits the domain patterns typed in Settings (comma or newline separated).
+ * @param {string} text
+ * @returns {string[]} Lowercase patterns.
+ */
+function parseDomainPatterns(text) {
+  return (text || '').split(/[,\n]/).map(pattern => pattern.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a hostname matches a domain pattern. `example.com` covers the domain and its
+ * subdomains; `*` matches any run of characters, e.g. `*.example.com` or `intranet-*.corp`.
+ * @param {string} hostname
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function domainMatchesPattern(hostname, pattern) {
+  if (!pattern.includes('*')) {
+    return hostname === pattern || hostname.endsWith(`.${pattern}`);
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(hostname);
+}
+
+/**
+ * Checks a URL the agent is about to visit against the navigation policy.
+ * @param {string} url - The target URL; relative URLs resolve against `pageUrl`.
+ * @param {{settings?: object, startOrigin?: string|null, pageUrl?: string}} context
+ * @returns {{allowed: boolean, reason?: string}} The reason is written for the executor.
+ */
+function checkNavigation(url, { settings, startOrigin = null, pageUrl } = {}) {
+  const policy = { ...DEFAULT_NAVIGATION_SETTINGS, ...settings };
+  let parsed;
+  try {
+    parsed = new URL(url, pageUrl);
+  } catch (e) {
+    return { allowed: false, reason: `"${url}" is not a valid URL.` };
+  }
+
+  if (policy.blockUnsafeSchemes && UNSAFE_URL_SCHEMES.includes(parsed.protocol)) {
+    return { allowed: false, reason: `${parsed.protocol} URLs are blocked.` };
+  }
+  // Domain rules only mean something for web pages (about:blank and the like pass)
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { allowed: true };
+
+  const hostname = parsed.hostname.toLowerCase();
+  const blockedBy = policy.blockedDomains.find(pattern => domainMatchesPattern(hostname, pattern));
+  if (blockedBy) {
+    return { allowed: false, reason: `${hostname} is on the blocked list (${blockedBy}).` };
+  }
+  if (policy.allowedDomains.length > 0 && !policy.allowedDomains.some(pattern => domainMatchesPattern(hostname, pattern))) {
+    return { allowed: false, reason: `${hostname} is not on the allowed list.` };
+  }
+  if (policy.stayInStartOrigin && startOrigin && parsed.origin !== startOrigin) {
+    return { allowed: false, reason: `the agent has to stay on ${startOrigin}.` };
+  }
+  return { allowed: true };
+}
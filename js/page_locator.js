@@ -0,0 +1,206 @@
+/**
+ * This script is injected into the tab (isolated world) before scraping and before acting.
+ * It gives every element a locator bundle that survives DOM shifts, and a fingerprint
+ * the emulator checks so it never acts on an element other than the one the agent saw.
+ */
+
+globalThis.agentPageLocator = (() => {
+    const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa'];
+
+    function normalizeText(text, maxLength = 80) {
+        return (text || '').replace(/\s+/g, ' ').trim().substring(0, maxLength);
+    }
+
+    function cssEscape(value) {
+        return window.CSS && CSS.escape ? CSS.escape(value) : String(value).replace(/["\\]/g, '\\$&');
+    }
+
+    /**
+     * Approximates the accessible name the way assistive technology would compute it.
+     * @param {Element} el
+     * @returns {string}
+     */
+    function getAccessibleName(el) {
+        const ariaLabel = el.getAttribute('aria-label');
+        if (ariaLabel) return normalizeText(ariaLabel);
+
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\s+/)
+                .map(id => el.getRootNode().getElementById?.(id)?.textContent || '')
+                .join(' ');
+            if (normalizeText(text)) return normalizeText(text);
+        }
+
+        if (el.labels && el.labels.length > 0) {
+            return normalizeText(Array.from(el.labels).map(label => label.textContent).join(' '));
+        }
+
+        const fallback = el.getAttribute('alt') || el.getAttribute('title') || el.getAttribute('placeholder');
+        if (fallback) return normalizeText(fallback);
+
+        const tag = el.tagName.toLowerCase();
+        if (['a', 'button', 'summary', 'option', 'label'].includes(tag) || el.getAttribute('role')) {
+            return normalizeText(el.innerText || el.textContent);
+        }
+        return '';
+    }
+
+    function getImplicitRole(el) {
+        const explicit = el.getAttribute('role');
+        if (explicit) return explicit;
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        if (tag === 'a' && el.hasAttribute('href')) return 'link';
+        if (tag === 'button' || (tag === 'input' && ['button', 'submit', 'reset'].includes(type))) return 'button';
+        if (tag === 'input' && type === 'checkbox') return 'checkbox';
+        if (tag === 'input' && type === 'radio') return 'radio';
+        if (tag === 'select') return 'combobox';
+        if (tag === 'textarea' || (tag === 'input' && !['hidden', 'image', 'file', 'range', 'color'].includes(type))) return 'textbox';
+        return '';
+    }
+
+    /**
+     * Builds an XPath using tag names and same-tag sibling indexes. It is positional, so it is
+     * only a fallback, but unlike nth-child it doesn't shift when unrelated siblings are inserted.
+     */
+    function getXPath(el) {
+        const segments = [];
+        let node = el;
+        while (node && node.nodeType === Node.ELEMENT_NODE) {
+            const tag = node.tagName.toLowerCase();
+            let index = 1;
+            let sibling = node.previousElementSibling;
+            while (sibling) {
+                if (sibling.tagName === node.tagName) index++;
+                sibling = sibling.previousElementSibling;
+            }
+            segments.unshift(`${tag}[${index}]`);
+            node = node.parentElement;
+        }
+        return `/${segments.join('/')}`;
+    }
+
+    function hashString(value) {
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * A short hash of the traits that identify what an element *is* (not where it is).
+     * Values and volatile text such as counters are deliberately left out.
+     * @param {Element} el
+     * @returns {string}
+     */
+    function computeFingerprint(el) {
+        return hashString([
+            el.tagName.toLowerCase(),
+            el.getAttribute('type') || '',
+            getImplicitRole(el),
+            el.getAttribute('name') || '',
+            el.getAttribute('id') || '',
+            getAccessibleName(el).substring(0, 60),
+        ].join('|'));
+    }
+
+    /**
+     * Describes an element in several independent ways, most robust first.
+     * @param {Element} el
+     * @returns {object} The locator bundle.
+     */
+    function buildLocator(el) {
+        const locator = {
+            tag: el.tagName.toLowerCase(),
+            xpath: getXPath(el),
+        };
+        const id = el.getAttribute('id');
+        if (id) locator.id = id;
+        const testIdAttr = TEST_ID_ATTRIBUTES.find(attr => el.hasAttribute(attr));
+        if (testIdAttr) locator.testId = { attr: testIdAttr, value: el.getAttribute(testIdAttr) };
+        const name = el.getAttribute('name');
+        if (name) locator.name = name;
+        const ariaLabel = el.getAttribute('aria-label');
+        if (ariaLabel) locator.ariaLabel = ariaLabel;
+        const role = getImplicitRole(el);
+        if (role) locator.role = role;
+        const accessibleName = getAccessibleName(el);
+        if (accessibleName) locator.accessibleName = accessibleName;
+        const text = normalizeText(el.innerText);
+        if (text) locator.text = text;
+        return locator;
+    }
+
+    /** Returns the single element matching a CSS selector, or null if there are none or several. */
+    function queryUnique(root, selector) {
+        try {
+            const matches = root.querySelectorAll(selector);
+            return matches.length === 1 ? matches[0] : null;
+        } catch (e) {
+            return null; // Invalid selector built from odd attribute values
+        }
+    }
+
+    function filterUnique(elements, predicate) {
+        const matches = Array.from(elements).filter(predicate);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Finds the element described by a target, trying each locator strategy in turn and
+     * accepting only a candidate whose fingerprint still matches. Targets inside shadow DOM
+     * are found by resolving each enclosing shadow host first.
+     * @param {{selector?: string, locator?: object, fingerprint?: string, shadowHosts?: object[]}} target
+     * @param {Document|ShadowRoot} [root] - Where to search; callers normally omit it.
+     * @returns {{element: Element|null, strategy?: string, error?: string}}
+     */
+    function resolveTarget(target, root = document) {
+        if (!target) return { element: null, error: 'No target provided.' };
+
+        if (root === document && target.shadowHosts && target.shadowHosts.length > 0) {
+            for (const hostTarget of target.shadowHosts) {
+                const { element: host, error } = resolveTarget(hostTarget, root);
+                if (!host) return { element: null, error: `Shadow host: ${error}` };
+                if (!host.shadowRoot) return { element: null, error: 'Element changed: the shadow host no longer has an open shadow root.' };
+                root = host.shadowRoot;
+            }
+        }
+        const locator = target.locator || {};
+        const tag = locator.tag || '*';
+
+        const strategies = [
+            ['id', () => locator.id && queryUnique(root, `${tag}#${cssEscape(locator.id)}`)],
+            ['testId', () => locator.testId && queryUnique(root, `[${locator.testId.attr}="${cssEscape(locator.testId.value)}"]`)],
+            ['name', () => locator.name && queryUnique(root, `${tag}[name="${cssEscape(locator.name)}"]`)],
+            ['ariaLabel', () => locator.ariaLabel && queryUnique(root, `${tag}[aria-label="${cssEscape(locator.ariaLabel)}"]`)],
+            ['role', () => locator.role && locator.accessibleName && filterUnique(root.querySelectorAll(tag),
+                el => getImplicitRole(el) === locator.role && getAccessibleName(el) === locator.accessibleName)],
+            ['text', () => locator.text && filterUnique(root.querySelectorAll(tag), el => normalizeText(el.innerText) === locator.text)],
+            ['xpath', () => {
+                if (!locator.xpath || root !== document) return null;
+                return document.evaluate(locator.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+            }],
+            ['css', () => target.selector && root.querySelector(target.selector)],
+        ];
+
+        let sawChangedElement = false;
+        for (const [strategy, find] of strategies) {
+            const element = find();
+            if (!element) continue;
+            if (!target.fingerprint || computeFingerprint(element) === target.fingerprint) {
+                return { element, strategy };
+            }
+            sawChangedElement = true;
+        }
+        return {
+            element: null,
+            error: sawChangedElement
+                ? 'Element changed: the page was modified since it was read and the target no longer matches. Re-read the page and try again.'
+                : 'Element not found: the target is no longer on the page.',
+        };
+    }
+
+    return { buildLocator, computeFingerprint, resolveTarget };
+})();
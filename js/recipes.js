@@ -0,0 +1,193 @@
+/**
+ * This library stores recipes: reviewed plans saved under a name, with `{{parameter}}`
+ * placeholders that are filled in from a form each time the recipe runs. A recipe runs
+ * without a planning call. Recipes are kept in chrome.storage.local and can be shared
+ * as JSON files.
+ */
+
+const RECIPES_STORAGE_KEY = 'recipes';
+const RECIPE_EXPORT_FORMAT = 'agent-recipes';
+
+// Parameter type -> the input type of its form field
+const RECIPE_PARAMETER_TYPES = {
+  text: 'text',
+  number: 'number',
+  date: 'date',
+  email: 'email',
+  url: 'url',
+};
+
+// `{{amount}}`; vault placeholders (`{{vault:entry.field}}`) don't match and are left alone
+const RECIPE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+/**
+ * Lists the parameter names used in recipe texts, in order of first use.
+ * @param {string[]} texts - The name, start URL and plan steps.
+ * @returns {string[]}
+ */
+function findRecipeParameters(texts) {
+  const names = [];
+  texts.forEach((text) => {
+    for (const match of (text || '').matchAll(RECIPE_PLACEHOLDER_PATTERN)) {
+      if (!names.includes(match[1])) names.push(match[1]);
+    }
+  });
+  return names;
+}
+
+/**
+ * Checks a recipe before it is saved or imported and fills in what may be left out.
+ * @param {object} recipe - {name, description?, startUrl?, plan, loops?, outputSchema?, parameters?}.
+ * @returns {object} The recipe with an id, timestamps and one parameter entry per placeholder.
+ * @throws {Error} If the recipe is incomplete or a parameter is malformed.
+ */
+function normalizeRecipe(recipe) {
+  const name = (recipe?.name || '').trim();
+  if (!name) throw new Error('A recipe needs a name.');
+  const plan = (Array.isArray(recipe.plan) ? recipe.plan : []).map(step => String(step).trim()).filter(Boolean);
+  if (plan.length === 0) throw new Error(`"${name}" has no plan steps.`);
+  const startUrl = (recipe.startUrl || '').trim();
+  if (startUrl && !/^https?:\/\//.test(startUrl.replace(RECIPE_PLACEHOLDER_PATTERN, 'x'))) {
+    throw new Error(`The starting URL of "${name}" must start with http:// or https://.`);
+  }
+
+  const declared = Array.isArray(recipe.parameters) ? recipe.parameters : [];
+  const parameters = findRecipeParameters([name, startUrl, ...plan]).map((parameterName) => {
+    const parameter = declared.find(item => item.name === parameterName) || {};
+    const type = parameter.type || 'text';
+    if (!RECIPE_PARAMETER_TYPES[type]) {
+      throw new Error(`{{${parameterName}}} has the unknown type "${type}" (use ${Object.keys(RECIPE_PARAMETER_TYPES).join(', ')}).`);
+    }
+    return {
+      name: parameterName,
+      type,
+      label: parameter.label || parameterName,
+      required: parameter.required !== false,
+      defaultValue: parameter.defaultValue ?? '',
+    };
+  });
+
+  const now = Date.now();
+  return {
+    id: recipe.id || createRunId(),
+    name,
+    description: (recipe.description || '').trim(),
+    startUrl,
+    plan,
+    // Saved loops hold step indexes, normalizePlanLoops the planner's 1-based step numbers
+    loops: normalizePlanLoops((Array.isArray(recipe.loops) ? recipe.loops : [])
+      .map(loop => ({ ...loop, startStep: loop?.startStep + 1, endStep: loop?.endStep + 1 })), plan.length),
+    outputSchema: recipe.outputSchema || null,
+    parameters,
+    createdAt: recipe.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Lists the saved recipes, by name.
+ * @returns {Promise<object[]>}
+ */
+async function getRecipes() {
+  const { [RECIPES_STORAGE_KEY]: recipes = [] } = await chrome.storage.local.get(RECIPES_STORAGE_KEY);
+  return recipes;
+}
+
+/**
+ * Saves recipes, replacing those with the same id.
+ * @param {object[]} recipes - Normalized recipes (see normalizeRecipe).
+ */
+async function saveRecipes(recipes) {
+  const ids = recipes.map(recipe => recipe.id);
+  const kept = (await getRecipes()).filter(recipe => !ids.includes(recipe.id));
+  const updated = [...kept, ...recipes].sort((a, b) => a.name.localeCompare(b.name));
+  await chrome.storage.local.set({ [RECIPES_STORAGE_KEY]: updated });
+}
+
+async function deleteRecipe(recipeId) {
+  const recipes = await getRecipes();
+  await chrome.storage.local.set({ [RECIPES_STORAGE_KEY]: recipes.filter(recipe => recipe.id !== recipeId) });
+}
+
+/**
+ * Checks the values entered for a recipe's parameters.
+ * @param {object} recipe
+ * @param {object} values - Parameter name -> the entered text.
+ * @returns {object} The values, trimmed, with defaults for empty optional ones.
+ * @throws {Error} Naming the first missing or malformed value.
+ */
+function validateRecipeValues(recipe, values) {
+  const checked = {};
+  recipe.parameters.forEach((parameter) => {
+    const value = String(values[parameter.name] ?? '').trim() || String(parameter.defaultValue || '');
+    if (!value) {
+      if (parameter.required) throw new Error(`Enter a value for "${parameter.label}".`);
+      checked[parameter.name] = '';
+      return;
+    }
+    if (parameter.type === 'number' && !Number.isFinite(Number(value))) {
+      throw new Error(`"${parameter.label}" must be a number.`);
+    }
+    if (parameter.type === 'date' && Number.isNaN(Date.parse(value))) {
+      throw new Error(`"${parameter.label}" must be a date.`);
+    }
+    if (parameter.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      throw new Error(`"${parameter.label}" must be an email address.`);
+    }
+    if (parameter.type === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+      throw new Error(`"${parameter.label}" must be a URL starting with http:// or https://.`);
+    }
+    checked[parameter.name] = value;
+  });
+  return checked;
+}
+
+/**
+ * Fills a recipe's placeholders with checked values (see validateRecipeValues).
+ * @param {object} recipe
+ * @param {object} values
+ * @returns {{goal: string, startUrl: string, plan: string[], loops: object[], outputSchema: object|null}}
+ *   What a run is started with. The goal lists the values, so typing them counts as part of the request.
+ */
+function fillRecipe(recipe, values) {
+  const fill = text => text.replace(RECIPE_PLACEHOLDER_PATTERN, (placeholder, name) => values[name] ?? '');
+  const valueList = recipe.parameters.filter(({ name }) => values[name]).map(({ name, label }) => `${label}: ${values[name]}`);
+  return {
+    goal: `${fill(recipe.name)}${valueList.length > 0 ? ` (${valueList.join(', ')})` : ''}`,
+    startUrl: fill(recipe.startUrl || ''),
+    plan: recipe.plan.map(fill),
+    loops: recipe.loops.map(loop => ({ ...loop, description: fill(loop.description || '') })),
+    outputSchema: recipe.outputSchema,
+  };
+}
+
+/**
+ * Serializes recipes for sharing.
+ * @param {object[]} recipes
+ * @returns {string} Pretty-printed JSON.
+ */
+function buildRecipesJson(recipes) {
+  return JSON.stringify({
+    format: RECIPE_EXPORT_FORMAT,
+    version: 1,
+    recipes: recipes.map(({ createdAt, updatedAt, ...recipe }) => recipe),
+  }, null, 2);
+}
+
+/**
+ * Parses a file produced by buildRecipesJson (or a single recipe object).
+ * @param {string} text
+ * @returns {object[]} Normalized recipes, ready for saveRecipes.
+ * @throws {Error} If the file isn't a recipe file or a recipe in it is invalid.
+ */
+function parseRecipesJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  const recipes = parsed?.format === RECIPE_EXPORT_FORMAT ? parsed.recipes : [parsed];
+  if (!Array.isArray(recipes) || recipes.length === 0) throw new Error('The file contains no recipes.');
+  return recipes.map(recipe => normalizeRecipe(recipe));
+}
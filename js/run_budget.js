@@ -0,0 +1,127 @@
+/**
+ * This library caps what a single run may spend: model calls, actions per plan step,
+ * wall-clock time, tokens and the estimated cost of those tokens. The background worker
+ * enforces the limits; the side panel shows the counters in the progress footer.
+ */
+
+// A limit of 0 means "no limit"
+const DEFAULT_BUDGET_SETTINGS = {
+  maxLlmCalls: 100,
+  maxActionsPerStep: 25,
+  timeoutMinutes: 30, // Time the run spends running, pauses excluded
+  maxTokens: 2000000,
+  maxCost: 0, // In USD, estimated from the token prices below
+  inputPricePerMillion: 0.30, // USD per 1M prompt tokens (gemini-2.5-flash list price)
+  outputPricePerMillion: 2.50, // USD per 1M output tokens
+};
+
+/**
+ * Reads the budget settings saved from the Settings view.
+ * @returns {object} See DEFAULT_BUDGET_SETTINGS.
+ */
+function getBudgetSettings() {
+  return { ...DEFAULT_BUDGET_SETTINGS, ...getSettingsSection('budget') };
+}
+
+/** An empty usage counter for a new run. */
+function createRunUsage() {
+  return { llmCalls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Adds one model call to a usage counter, in place.
+ * @param {object} runUsage - From createRunUsage.
+ * @param {{promptTokens: number, outputTokens: number, totalTokens: number}} [callUsage] - The
+ *   normalized usage of the response (see LLM_PROVIDERS).
+ * @param {object} budget - See DEFAULT_BUDGET_SETTINGS; supplies the token prices.
+ * @returns {object} The updated counter.
+ */
+function addModelUsage(runUsage, callUsage, budget) {
+  const promptTokens = callUsage?.promptTokens || 0;
+  const outputTokens = callUsage?.outputTokens || 0;
+  runUsage.llmCalls += 1;
+  runUsage.promptTokens += promptTokens;
+  runUsage.outputTokens += outputTokens;
+  runUsage.totalTokens += callUsage?.totalTokens || promptTokens + outputTokens;
+  runUsage.cost += (promptTokens * budget.inputPricePerMillion + outputTokens * budget.outputPricePerMillion) / 1e6;
+  return runUsage;
+}
+
+/**
+ * Shares one budget between runs that go in parallel, so that together they stay within it.
+ * Model calls, tokens and cost are divided; time and actions per step hold for each run.
+ * @param {object} budget - See DEFAULT_BUDGET_SETTINGS.
+ * @param {number} count - The number of runs.
+ * @param {number} [reservedCalls] - Model calls kept back, e.g. to merge the runs' results.
+ * @returns {object} The budget of each run.
+ */
+function splitBudget(budget, count, reservedCalls = 0) {
+  return {
+    ...budget,
+    maxLlmCalls: budget.maxLlmCalls && Math.max(1, Math.floor((budget.maxLlmCalls - reservedCalls) / count)),
+    maxTokens: budget.maxTokens && Math.max(1, Math.floor(budget.maxTokens / count)),
+    maxCost: budget.maxCost && budget.maxCost / count,
+  };
+}
+
+/**
+ * Checks a run's counters against its budget.
+ * @param {object} runUsage - From createRunUsage.
+ * @param {{activeMs: number, stepActions: number}} progress - Time spent running and the
+ *   number of actions taken on the current step.
+ * @param {object} budget - See DEFAULT_BUDGET_SETTINGS.
+ * @returns {string|null} The limit that was reached, or null while within budget.
+ */
+function getBudgetExceededReason(runUsage, progress, budget) {
+  if (budget.maxLlmCalls && runUsage.llmCalls >= budget.maxLlmCalls) {
+    return `reached the limit of ${budget.maxLlmCalls} model calls`;
+  }
+  if (budget.maxTokens && runUsage.totalTokens >= budget.maxTokens) {
+    return `used ${runUsage.totalTokens.toLocaleString()} tokens (limit ${budget.maxTokens.toLocaleString()})`;
+  }
+  if (budget.maxCost && runUsage.cost >= budget.maxCost) {
+    return `spent an estimated ${formatCost(runUsage.cost)} (limit ${formatCost(budget.maxCost)})`;
+  }
+  if (budget.timeoutMinutes && progress.activeMs >= budget.timeoutMinutes * 60000) {
+    return `ran for more than ${budget.timeoutMinutes} minutes`;
+  }
+  if (budget.maxActionsPerStep && progress.stepActions >= budget.maxActionsPerStep) {
+    return `took ${progress.stepActions} actions on one step (limit ${budget.maxActionsPerStep})`;
+  }
+  return null;
+}
+
+/**
+ * Time a run has spent running, excluding pauses.
+ * @param {{startedAt: number|null, endedAt: number|null, pausedMs: number, pausedAt: number|null}} runState
+ * @returns {number} Milliseconds.
+ */
+function getRunActiveMs(runState) {
+  if (!runState.startedAt) return 0;
+  const end = runState.endedAt || Date.now();
+  const currentPause = runState.pausedAt ? end - runState.pausedAt : 0;
+  return Math.max(0, end - runState.startedAt - (runState.pausedMs || 0) - currentPause);
+}
+
+function formatCost(cost) {
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+/**
+ * One-line summary of a run's counters for the progress footer.
+ * @param {object} runUsage - From createRunUsage.
+ * @param {number} activeMs - Time spent running.
+ * @param {object} budget - See DEFAULT_BUDGET_SETTINGS.
+ * @returns {string}
+ */
+function formatRunUsage(runUsage, activeMs, budget) {
+  const withLimit = (value, limit) => (limit ? `${value} / ${limit}` : `${value}`);
+  const minutes = Math.floor(activeMs / 60000);
+  const seconds = String(Math.floor((activeMs % 60000) / 1000)).padStart(2, '0');
+  return [
+    `${withLimit(runUsage.llmCalls, budget.maxLlmCalls)} calls`,
+    `${withLimit(runUsage.totalTokens.toLocaleString(), budget.maxTokens && budget.maxTokens.toLocaleString())} tokens`,
+    withLimit(formatCost(runUsage.cost), budget.maxCost && formatCost(budget.maxCost)),
+    withLimit(`${minutes}:${seconds}`, budget.timeoutMinutes && `${budget.timeoutMinutes}:00`),
+  ].join(' · ');
+}
@@ -0,0 +1,214 @@
+/**
+ * This library stores finished runs and their execution transcripts in chrome.storage.local,
+ * and turns them into exportable JSON and HTML reports.
+ * It is loaded by both the background worker (which records runs) and the side panel (which lists them).
+ */
+
+const HISTORY_INDEX_KEY = 'runHistory';
+const RUN_RECORD_PREFIX = 'run:';
+const RUN_SCREENSHOT_PREFIX = 'runShot:';
+const MAX_HISTORY_RUNS = 50;
+
+// Runs that end at the same time would otherwise both read the index and one would drop the other
+let historyWrites = Promise.resolve();
+
+/**
+ * Generates a reasonably unique id for a new run.
+ * @returns {string}
+ */
+function createRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getScreenshotKey(runId, index) {
+  return `${RUN_SCREENSHOT_PREFIX}${runId}:${index}`;
+}
+
+/**
+ * Stores a screenshot captured during a run. Screenshots are kept out of the run
+ * record itself so the record (and the live checkpoint) stays small.
+ * @param {string} runId - The run the screenshot belongs to.
+ * @param {number} index - The transcript entry index.
+ * @param {string} base64Jpeg - The base64 encoded JPEG data.
+ * @returns {Promise<string>} The storage key of the screenshot.
+ */
+async function saveRunScreenshot(runId, index, base64Jpeg) {
+  const key = getScreenshotKey(runId, index);
+  await chrome.storage.local.set({ [key]: base64Jpeg });
+  return key;
+}
+
+/**
+ * Saves a finished run and adds it to the history index, pruning the oldest runs.
+ * @param {object} record - The run record produced by AgentOrchestrator.toRunRecord().
+ * @returns {Promise<void>}
+ */
+function saveRunRecord(record) {
+  const write = historyWrites.then(() => writeRunRecord(record));
+  historyWrites = write.catch(() => { });
+  return write;
+}
+
+async function writeRunRecord(record) {
+  const { [HISTORY_INDEX_KEY]: index = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  const summary = {
+    id: record.id,
+    goal: record.goal,
+    status: record.status,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    decisionCount: record.transcript.length,
+  };
+  const updatedIndex = [summary, ...index.filter(run => run.id !== record.id)];
+  const pruned = updatedIndex.slice(MAX_HISTORY_RUNS);
+
+  await chrome.storage.local.set({
+    [HISTORY_INDEX_KEY]: updatedIndex.slice(0, MAX_HISTORY_RUNS),
+    [`${RUN_RECORD_PREFIX}${record.id}`]: record,
+  });
+  for (const run of pruned) {
+    await deleteRunRecord(run.id, { keepIndex: true });
+  }
+}
+
+/**
+ * Lists the stored runs, newest first.
+ * @returns {Promise<object[]>} Run summaries.
+ */
+async function getRunHistory() {
+  const { [HISTORY_INDEX_KEY]: index = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  return index;
+}
+
+/**
+ * Loads a full run record.
+ * @param {string} runId
+ * @returns {Promise<object|null>}
+ */
+async function getRunRecord(runId) {
+  const key = `${RUN_RECORD_PREFIX}${runId}`;
+  const { [key]: record = null } = await chrome.storage.local.get(key);
+  return record;
+}
+
+/**
+ * Loads all screenshots referenced by a run's transcript.
+ * @param {object} record - The run record.
+ * @returns {Promise<object>} A map of screenshot key -> base64 JPEG data.
+ */
+async function getRunScreenshots(record) {
+  const keys = record.transcript.map(entry => entry.screenshotKey).filter(Boolean);
+  if (keys.length === 0) return {};
+  return chrome.storage.local.get(keys);
+}
+
+/**
+ * Deletes a run record, its screenshots and (unless told otherwise) its index entry.
+ * @param {string} runId
+ * @param {{keepIndex?: boolean}} [options]
+ */
+async function deleteRunRecord(runId, { keepIndex = false } = {}) {
+  const record = await getRunRecord(runId);
+  const keys = [`${RUN_RECORD_PREFIX}${runId}`];
+  if (record) {
+    record.transcript.forEach(entry => entry.screenshotKey && keys.push(entry.screenshotKey));
+  }
+  await chrome.storage.local.remove(keys);
+
+  if (!keepIndex) {
+    const index = await getRunHistory();
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index.filter(run => run.id !== runId) });
+  }
+}
+
+// --- Export ---
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes a run as a JSON transcript.
+ * @param {object} record - The run record.
+ * @returns {string} Pretty-printed JSON.
+ */
+function buildTranscriptJson(record) {
+  return JSON.stringify({ format: 'agent-run-transcript', version: 1, ...record }, null, 2);
+}
+
+/**
+ * Renders a run as a standalone, human-readable HTML report with inline screenshots.
+ * @param {object} record - The run record.
+ * @param {object} screenshots - Map of screenshot key -> base64 JPEG (see getRunScreenshots).
+ * @returns {string} The HTML document.
+ */
+function buildRunReportHtml(record, screenshots = {}) {
+  const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '—');
+
+  const planHtml = record.plan.map(step => `<li>${escapeHtml(step)}</li>`).join('');
+
+  const rows = record.extractedRows || [];
+  const columns = getExtractionColumns(rows, record.outputSchema || null);
+  const dataHtml = rows.length === 0 ? '' : `
+  <h2>Extracted data</h2>
+  <table class="data">
+    <tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+    ${rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(typeof row[column] === 'object' ? JSON.stringify(row[column]) : row[column])}</td>`).join('')}</tr>`).join('')}
+  </table>`;
+
+  const decisionsHtml = record.transcript.map((entry, index) => {
+    const screenshot = entry.screenshotKey && screenshots[entry.screenshotKey];
+    const result = entry.result
+      ? `<span class="${entry.result.success ? 'ok' : 'fail'}">${entry.result.success ? 'Succeeded' : 'Failed'}: ${escapeHtml(entry.result.message)}</span>`
+      : '<span class="muted">Not executed in the page</span>';
+    return `
+      <section class="decision">
+        <h3>#${index + 1} ${escapeHtml(entry.action)} <small>${escapeHtml(formatTime(entry.timestamp))}</small></h3>
+        <table>
+          <tr><th>Plan step</th><td>${escapeHtml(`${entry.stepIndex + 1}. ${entry.stepName || ''}`)}</td></tr>
+          <tr><th>Step control</th><td>${escapeHtml(entry.step)}</td></tr>
+          <tr><th>Decided by</th><td>${entry.source === 'replay' ? 'Replay of a recorded run' : 'Model'}</td></tr>
+          <tr><th>Summary</th><td>${escapeHtml(entry.data?.summary)}</td></tr>
+          <tr><th>Element id</th><td>${escapeHtml(entry.data?.id || '—')}</td></tr>
+          <tr><th>Selector</th><td><code>${escapeHtml(entry.selector || '—')}</code></td></tr>
+          <tr><th>Text</th><td>${escapeHtml(entry.data?.text || '—')}</td></tr>
+          <tr><th>Result</th><td>${result}</td></tr>
+        </table>
+        ${screenshot ? `<img src="data:image/jpeg;base64,${screenshot}" alt="Page before decision #${index + 1}" />` : ''}
+      </section>`;
+  }).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Agent run report: ${escapeHtml(record.goal)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 0 auto; padding: 20px; color: #333; }
+    .decision { border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th { text-align: left; width: 140px; color: #5f6368; font-weight: 500; vertical-align: top; }
+    td, th { padding: 4px 8px; }
+    img { max-width: 100%; margin-top: 10px; border: 1px solid #ddd; }
+    .ok { color: green; } .fail { color: #d93025; } .muted { color: #5f6368; }
+    table.data { margin-bottom: 16px; } table.data th { width: auto; border-bottom: 1px solid #e0e0e0; }
+  </style>
+</head>
+<body>
+  <h1>Agent run report</h1>
+  <p><strong>Goal:</strong> ${escapeHtml(record.goal || '—')}</p>
+  <p><strong>Status:</strong> ${escapeHtml(record.status)}<br />
+     <strong>Started:</strong> ${escapeHtml(formatTime(record.startedAt))}<br />
+     <strong>Ended:</strong> ${escapeHtml(formatTime(record.endedAt))}</p>
+  <h2>Plan</h2>
+  <ol>${planHtml}</ol>${dataHtml}
+  <h2>Executor decisions</h2>
+  ${decisionsHtml || '<p class="muted">No decisions were recorded.</p>'}
+</body>
+</html>`;
+}
@@ -0,0 +1,290 @@
+/**
+ * This library hosts the agent's runs in the background worker. Several runs can go at once,
+ * each bound to its own tab and paused, resumed or stopped on its own. A request the planner
+ * split into independent parts (see normalizeParallelPlans) runs as a group of parallel runs,
+ * whose results are merged into one answer once they have all ended.
+ * Loaded by the background worker, after agent_orcestrator.js.
+ */
+
+const MAX_CONCURRENT_RUNS = 4;
+
+class RunManager {
+  constructor() {
+    this.runs = new Map(); // runId -> AgentOrchestrator, running or finished until dismissed
+    this.groups = new Map(); // groupId -> {id, goal, runIds, status, summary, error, budget, usage, startedAt, endedAt}
+    this.onChange = null; // Called with the run that changed, or null when only a group did
+  }
+
+  /** The runs that haven't ended yet. */
+  getActiveRuns() {
+    return [...this.runs.values()].filter(run => run.state.isRunning);
+  }
+
+  /**
+   * Whether there is room for more runs.
+   * @param {number} [count] - The number of runs about to start.
+   * @returns {boolean}
+   */
+  canStart(count = 1) {
+    return this.getActiveRuns().length + count <= MAX_CONCURRENT_RUNS;
+  }
+
+  /** Whether a run or a merge is working, so the worker has to be kept alive. */
+  isBusy() {
+    return this.getActiveRuns().some(run => !run.state.isPaused)
+      || [...this.groups.values()].some(group => group.status === 'Merging');
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Hosts a new run and starts it.
+   * @param {AgentOrchestrator} run
+   * @returns {AgentOrchestrator} The run.
+   * @throws {Error} If MAX_CONCURRENT_RUNS runs are already going, or another run works in the
+   *   run's tab.
+   */
+  start(run) {
+    if (!this.canStart()) throw new Error(this._getLimitMessage());
+    this._checkTabIsFree(run.options.tabId, run);
+    // Canned responses are replayed from the start, unless another run is replaying them
+    if (this.getActiveRuns().length === 0) resetMockProvider();
+    this._add(run);
+    run.start();
+    return run;
+  }
+
+  /**
+   * Starts one run per part of a request, each in a new background tab, and merges their
+   * results when they have all ended.
+   * @param {string} goal - The user's request.
+   * @param {Array<{title: string, plan: string[]}>} parts - See normalizeParallelPlans.
+   * @param {object} options - The orchestrator options the runs share. The budget is split
+   *   between the runs, keeping one model call back for the merge (see splitBudget), and the
+   *   planner usage is counted towards the first run only.
+   * @returns {Promise<object>} The group.
+   * @throws {Error} If there isn't room for every part, or a tab can't be opened.
+   */
+  async startGroup(goal, parts, options) {
+    if (!this.canStart(parts.length)) throw new Error(this._getLimitMessage(parts.length));
+    // Open every tab before starting anything, so a failure leaves no run behind
+    const tabs = [];
+    try {
+      for (let i = 0; i < parts.length; i++) {
+        tabs.push(await chrome.tabs.create({ url: 'about:blank', active: false }));
+      }
+    } catch (error) {
+      await Promise.all(tabs.map(tab => chrome.tabs.remove(tab.id).catch(() => {})));
+      throw new Error(`The tabs for the parallel runs could not be opened: ${error.message}`);
+    }
+
+    if (this.getActiveRuns().length === 0) resetMockProvider();
+    const budget = { ...DEFAULT_BUDGET_SETTINGS, ...options.budget };
+    const group = {
+      id: createRunId(),
+      goal,
+      runIds: [],
+      status: 'Running',
+      summary: null,
+      error: null,
+      budget, // Shared by the runs and the merge
+      usage: null, // What the runs and the merge used together, once merged
+      startedAt: Date.now(),
+      endedAt: null,
+    };
+    this.groups.set(group.id, group);
+
+    for (const [index, part] of parts.entries()) {
+      const run = new AgentOrchestrator(part.plan, {
+        ...options,
+        goal: `${goal} (${part.title})`,
+        tabId: tabs[index].id,
+        loops: [],
+        budget: splitBudget(budget, parts.length, 1),
+        plannerUsage: index === 0 ? options.plannerUsage : null,
+        group: { id: group.id, title: part.title },
+      });
+      group.runIds.push(run.state.runId);
+      this._add(run);
+      run.start();
+    }
+    return group;
+  }
+
+  /**
+   * Starts a finished run over, in the same tab. The run gets a new run id.
+   * @param {string} runId
+   * @returns {AgentOrchestrator|null} The run, or null if it isn't hosted.
+   * @throws {Error} If MAX_CONCURRENT_RUNS runs are already going.
+   */
+  retry(runId) {
+    const run = this.getRun(runId);
+    if (!run) return null;
+    if (!run.state.isRunning && !this.canStart()) throw new Error(this._getLimitMessage());
+    this._checkTabIsFree(run.state.tabId ?? run.options.tabId, run);
+    if (this.getActiveRuns().length === 0) resetMockProvider();
+    run.retry();
+    return run;
+  }
+
+  /**
+   * Stops a run if it is still going and stops hosting it. A group goes with its last run.
+   * @param {string} runId
+   */
+  dismiss(runId) {
+    const run = this.getRun(runId);
+    if (!run) return;
+    this.runs.delete(runId);
+    run.subscribe(null); // Its last state goes nowhere, though the run is still saved to the history
+    run.stop();
+    const group = run.options.group && this.groups.get(run.options.group.id);
+    if (group) {
+      const remaining = group.runIds.map(id => this.runs.get(id)).filter(Boolean);
+      if (remaining.length === 0) {
+        this.groups.delete(group.id);
+      } else {
+        this._updateGroup(remaining[0]); // The others may have been waiting for this one
+      }
+    }
+    if (this.onChange) this.onChange(null);
+  }
+
+  /**
+   * Summaries of the hosted runs, oldest first, for the side panel's run switcher.
+   * @returns {Array<{runId: string, title: string, goal: string, groupId: string|null, status: string, tabId: number|null, startedAt: number}>}
+   *   `status` is 'Running', 'Paused' or 'Waiting' (for the user) while the run goes, then its
+   *   run history status.
+   */
+  listRuns() {
+    return [...this.runs.values()]
+      .map(run => ({
+        runId: run.state.runId,
+        title: run.options.group?.title || run.state.goal,
+        goal: run.state.goal,
+        groupId: run.options.group?.id || null,
+        status: this._getRunStatus(run),
+        tabId: run.state.tabId,
+        startedAt: run.state.startedAt,
+      }))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /** The groups of parallel runs, as stored (see startGroup). */
+  listGroups() {
+    return [...this.groups.values()];
+  }
+
+  /** Returns a plain, storable copy of every hosted run and group. */
+  toSnapshot() {
+    return {
+      runs: [...this.runs.values()].map(run => run.toSnapshot()),
+      groups: this.listGroups(),
+    };
+  }
+
+  /**
+   * Hosts the runs of a snapshot taken before the worker was restarted. Runs that were executing
+   * pick up where they left off, and merges that were cut short are started again.
+   * @param {{runs: object[], groups: object[]}} snapshot - From toSnapshot().
+   */
+  restore(snapshot) {
+    snapshot.groups.forEach((group) => {
+      this.groups.set(group.id, group.status === 'Merging' ? { ...group, status: 'Running' } : group);
+    });
+    const runs = snapshot.runs.map(runSnapshot => AgentOrchestrator.fromSnapshot(runSnapshot));
+    runs.forEach(run => this._add(run));
+    runs.forEach((run) => {
+      if (run.state.isRunning && !run.state.isPaused) {
+        run.resumeAfterRestart();
+      } else {
+        this._updateGroup(run);
+      }
+    });
+  }
+
+  _add(run) {
+    this.runs.set(run.state.runId, run);
+    run.subscribe(() => this._handleRunChange(run));
+  }
+
+  _handleRunChange(run) {
+    // A retried run starts over under a new run id
+    const [previousId] = [...this.runs].find(([, hosted]) => hosted === run) || [];
+    if (previousId && previousId !== run.state.runId) {
+      this.runs.delete(previousId);
+      this.runs.set(run.state.runId, run);
+      const group = run.options.group && this.groups.get(run.options.group.id);
+      if (group) group.runIds = group.runIds.map(id => (id === previousId ? run.state.runId : id));
+    }
+    this._updateGroup(run);
+    if (this.onChange) this.onChange(run);
+  }
+
+  _getRunStatus(run) {
+    const { state } = run;
+    if (!state.isRunning) return run.toRunRecord().status;
+    if (state.pendingDecision) return 'Waiting';
+    return state.isPaused ? 'Paused' : 'Running';
+  }
+
+  /**
+   * Two runs in one tab would act over each other, and the first to end would detach the
+   * other's debugger.
+   * @param {number} [tabId] - The tab a run is about to work in.
+   * @param {AgentOrchestrator} run - The run; it may own the tab itself.
+   * @throws {Error} If another active run owns the tab.
+   */
+  _checkTabIsFree(tabId, run) {
+    if (typeof tabId !== 'number') return;
+    // A run that was just started may not have bound its tab yet
+    const getTabIds = active => (active.state.tabIds.length > 0 ? active.state.tabIds : [active.options.tabId]);
+    const owner = this.getActiveRuns().find(active => active !== run && getTabIds(active).includes(tabId));
+    if (owner) {
+      throw new Error(`The run "${owner.options.group?.title || owner.state.goal}" is working in this tab. Switch to another tab, or stop that run first.`);
+    }
+  }
+
+  _getLimitMessage(count = 1) {
+    const active = this.getActiveRuns().length;
+    return `At most ${MAX_CONCURRENT_RUNS} runs can go at once, and ${active} ${active === 1 ? 'is' : 'are'} going${count > 1 ? ` (this would start ${count})` : ''}. Wait for one to end, or stop one.`;
+  }
+
+  /** Merges a group's results once its last run has ended; a retried run reopens its group. */
+  _updateGroup(run) {
+    const group = run.options.group && this.groups.get(run.options.group.id);
+    if (!group) return;
+    const runs = group.runIds.map(id => this.runs.get(id)).filter(Boolean);
+    if (runs.some(item => item.state.isRunning)) {
+      if (group.status !== 'Merging') Object.assign(group, { status: 'Running', summary: null, error: null, endedAt: null });
+      return;
+    }
+    if (group.status === 'Running') this._mergeGroup(group, runs);
+  }
+
+  async _mergeGroup(group, runs) {
+    group.status = 'Merging';
+    if (this.onChange) this.onChange(null);
+    const results = runs.map(run => ({
+      title: run.options.group.title,
+      status: run.toRunRecord().status,
+      outcome: [run.state.stopReason, ...run.state.logs.subStep.flat().slice(-5).map(entry => entry.name)].filter(Boolean).join('\n'),
+      extractedRows: run.state.extractedRows,
+    }));
+    group.usage = createRunUsage();
+    runs.forEach((run) => {
+      Object.keys(group.usage).forEach((key) => { group.usage[key] += run.state.usage[key]; });
+    });
+    try {
+      const { summary, usage } = await agentData.getMergedSummary(group.goal, results, runs[0].options.llmConfig);
+      addModelUsage(group.usage, usage, group.budget);
+      Object.assign(group, { status: 'Completed', summary });
+    } catch (error) {
+      console.error('Failed to merge parallel runs:', error);
+      Object.assign(group, { status: 'Failed', error: error.message });
+    }
+    group.endedAt = Date.now();
+    if (this.onChange) this.onChange(null);
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * This library stores scheduled runs and keeps their chrome.alarms in step. A schedule runs a
+ * goal (planned when it fires), a reviewed plan or a recipe, once at a given time or on a
+ * recurring schedule such as "weekdays 9:00". The side panel creates and lists schedules;
+ * the background worker runs them when their alarm fires.
+ */
+
+const SCHEDULES_STORAGE_KEY = 'schedules';
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  'every day': [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+
+/**
+ * Parses a recurring schedule: days, then a time. Days are "daily", "weekdays", "weekends",
+ * or day names separated by commas, with ranges ("mon-fri", "mon,wed,fri"); the time is
+ * "9:00", "17:30" or "9:30pm".
+ * @param {string} text - E.g. "weekdays 9:00".
+ * @returns {{type: 'recurring', days: number[], time: string}} Days are 0 (Sunday) to 6; time is "HH:MM".
+ * @throws {Error} If the text isn't a schedule.
+ */
+function parseRecurringSchedule(text) {
+  const match = (text || '').trim().toLowerCase().match(/^(.+?)\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) throw new Error(`"${text}" should look like "weekdays 9:00", "daily 18:30" or "mon,wed,fri 8:15".`);
+  const [, dayText, hourText, minuteText = '00', meridiem] = match;
+
+  let hours = parseInt(hourText, 10);
+  const minutes = parseInt(minuteText, 10);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) throw new Error(`"${hourText}${meridiem}" is not a time.`);
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) throw new Error(`"${hourText}:${minuteText}" is not a time.`);
+
+  let days = WEEKDAY_GROUPS[dayText.trim()];
+  if (!days) {
+    days = [];
+    dayText.split(',').map(part => part.trim()).forEach((part) => {
+      const [from, to = from] = part.split('-').map(name => WEEKDAY_NAMES.indexOf(name.trim().substring(0, 3)));
+      if (from === -1 || to === -1) throw new Error(`"${part}" is not a day (use mon, tue, ... or weekdays, weekends, daily).`);
+      for (let day = from; ; day = (day + 1) % 7) {
+        if (!days.includes(day)) days.push(day);
+        if (day === to) break;
+      }
+    });
+  }
+  return {
+    type: 'recurring',
+    days: days.sort((a, b) => a - b),
+    time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * When a schedule fires next, in local time.
+ * @param {{type: 'once', at: number}|{type: 'recurring', days: number[], time: string}} when
+ * @param {number} [from] - Only times after this count.
+ * @returns {number|null} A timestamp, or null when a one-off time has passed.
+ */
+function getNextRunTime(when, from = Date.now()) {
+  if (when.type === 'once') return when.at > from ? when.at : null;
+  const [hours, minutes] = when.time.split(':').map(Number);
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(from);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(hours, minutes, 0, 0);
+    if (candidate.getTime() > from && when.days.includes(candidate.getDay())) return candidate.getTime();
+  }
+  return null;
+}
+
+/** Describes when a schedule runs, for the Schedules view. */
+function describeSchedule(when) {
+  if (when.type === 'once') return `Once, ${new Date(when.at).toLocaleString()}`;
+  const group = Object.entries(WEEKDAY_GROUPS).find(([, days]) => days.join() === when.days.join());
+  const days = group ? group[0] : when.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+  return `${days.charAt(0).toUpperCase()}${days.slice(1)} at ${when.time}`;
+}
+
+/** Describes what a schedule runs, for the Schedules view and notifications. */
+function describeScheduleTarget(target) {
+  if (target.kind === 'recipe') return `Recipe: ${target.recipeName}`;
+  if (target.kind === 'plan') return `Plan (${target.plan.length} steps): ${target.goal}`;
+  return `Goal: ${target.goal}`;
+}
+
+/**
+ * Lists the schedules.
+ * @returns {Promise<object[]>} {id, name, target, when, enabled, nextRunAt, lastRun}.
+ */
+async function getSchedules() {
+  const { [SCHEDULES_STORAGE_KEY]: schedules = [] } = await chrome.storage.local.get(SCHEDULES_STORAGE_KEY);
+  return schedules;
+}
+
+async function getSchedule(scheduleId) {
+  return (await getSchedules()).find(schedule => schedule.id === scheduleId) || null;
+}
+
+/**
+ * Saves a schedule (replacing the one with the same id) and sets its alarm.
+ * @param {object} schedule - {id?, name, target, when, enabled?, lastRun?}. `lastRun` is
+ *   {at, status, runId?, message?}, where `at` is the time the run was scheduled for. `target` is
+ *   {kind: 'goal', goal, outputSchema}, {kind: 'plan', goal, plan, loops, outputSchema} or
+ *   {kind: 'recipe', recipeId, recipeName, values}.
+ * @returns {Promise<object>} The saved schedule.
+ * @throws {Error} If a one-off time has already passed.
+ */
+async function saveSchedule(schedule) {
+  const saved = {
+    enabled: true,
+    lastRun: null,
+    ...schedule,
+    id: schedule.id || createRunId(),
+  };
+  // Never before the last firing, so an alarm that went off a moment early doesn't fire twice
+  saved.nextRunAt = saved.enabled ? getNextRunTime(saved.when, Math.max(Date.now(), saved.lastRun?.at || 0)) : null;
+  if (saved.enabled && !saved.nextRunAt) throw new Error('That time has already passed.');
+
+  const schedules = (await getSchedules()).filter(item => item.id !== saved.id);
+  await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: [...schedules, saved] });
+  await updateScheduleAlarm(saved);
+  return saved;
+}
+
+async function deleteSchedule(scheduleId) {
+  const schedules = await getSchedules();
+  await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: schedules.filter(schedule => schedule.id !== scheduleId) });
+  await chrome.alarms.clear(`${SCHEDULE_ALARM_PREFIX}${scheduleId}`);
+}
+
+/** Sets or clears a schedule's alarm to match its `nextRunAt`. */
+async function updateScheduleAlarm(schedule) {
+  const alarmName = `${SCHEDULE_ALARM_PREFIX}${schedule.id}`;
+  if (schedule.enabled && schedule.nextRunAt) {
+    await chrome.alarms.create(alarmName, { when: schedule.nextRunAt });
+  } else {
+    await chrome.alarms.clear(alarmName);
+  }
+}
+
+/**
+ * Re-creates every schedule's alarm, e.g. after the extension was updated (which drops alarms).
+ * Times missed while the browser was closed are skipped rather than run late.
+ */
+async function syncScheduleAlarms() {
+  const schedules = await getSchedules();
+  const now = Date.now();
+  const synced = schedules.map((schedule) => {
+    if (!schedule.enabled || (schedule.nextRunAt && schedule.nextRunAt > now)) return schedule;
+    const nextRunAt = getNextRunTime(schedule.when, now);
+    const lastRun = schedule.nextRunAt
+      ? { at: schedule.nextRunAt, status: 'Missed', message: 'The browser was closed at the scheduled time.' }
+      : schedule.lastRun;
+    return { ...schedule, nextRunAt, lastRun, enabled: Boolean(nextRunAt) };
+  });
+  await chrome.storage.local.set({ [SCHEDULES_STORAGE_KEY]: synced });
+  for (const schedule of synced) {
+    await updateScheduleAlarm(schedule);
+  }
+}
+
+/**
+ * Changes a stored schedule, e.g. to record how its last run went, and re-sets its alarm.
+ * @param {string} scheduleId
+ * @param {object} changes - Fields to replace.
+ * @returns {Promise<object|null>} The updated schedule, or null if it was deleted meanwhile.
+ */
+async function updateSchedule(scheduleId, changes) {
+  const schedule = await getSchedule(scheduleId);
+  if (!schedule) return null;
+  return saveSchedule({ ...schedule, ...changes });
+}
@@ -0,0 +1,109 @@
+/**
+ * This library draws "set-of-marks" annotations on page screenshots: a numbered box
+ * around each marked element, so the executor can tie what it sees to an element id.
+ * It uses OffscreenCanvas, which works in both the background worker and extension pages.
+ */
+
+const DEFAULT_SCREENSHOT_SETTINGS = {
+  annotate: true,
+};
+
+const MARK_COLORS = ['#e8453c', '#1a73e8', '#0f9d58', '#f4b400', '#a142f4', '#ff6d00', '#00acc1', '#c2185b'];
+
+/**
+ * Reads the screenshot settings saved from the Settings view.
+ * @returns {{annotate: boolean}}
+ */
+function getScreenshotSettings() {
+  return { ...DEFAULT_SCREENSHOT_SETTINGS, ...getSettingsSection('screenshots') };
+}
+
+function base64ToBlob(base64, mimeType) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const chunkSize = 0x8000; // Stay well below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Paints solid boxes over parts of a screenshot, e.g. fields holding secrets.
+ * @param {string} base64Jpeg - The screenshot (base64 JPEG, no data-URL prefix).
+ * @param {Array<{x: number, y: number, width: number, height: number}>} boxes - In top-level viewport CSS pixels.
+ * @param {{width: number}} viewport - The viewport the boxes were measured in.
+ * @returns {Promise<string>} The redacted screenshot, base64 JPEG.
+ */
+async function redactScreenshot(base64Jpeg, boxes, viewport) {
+  if (boxes.length === 0) return base64Jpeg;
+
+  const bitmap = await createImageBitmap(base64ToBlob(base64Jpeg, 'image/jpeg'));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  const scale = viewport?.width ? bitmap.width / viewport.width : 1;
+  ctx.fillStyle = '#202124';
+  boxes.forEach((box) => {
+    ctx.fillRect(box.x * scale, box.y * scale, box.width * scale, box.height * scale);
+  });
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return blobToBase64(blob);
+}
+
+/**
+ * Draws numbered boxes on a screenshot.
+ * @param {string} base64Jpeg - The screenshot as captured by captureAgentTab (base64, no data-URL prefix).
+ * @param {Array<{mark: number, box: {x: number, y: number, width: number, height: number}}>} marks
+ *   Boxes in top-level viewport CSS pixels (see assignScreenshotMarks).
+ * @param {{width: number}} viewport - The viewport the boxes were measured in.
+ * @returns {Promise<string>} The annotated screenshot, base64 JPEG.
+ */
+async function annotateScreenshot(base64Jpeg, marks, viewport) {
+  if (marks.length === 0) return base64Jpeg;
+
+  const bitmap = await createImageBitmap(base64ToBlob(base64Jpeg, 'image/jpeg'));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+
+  // The capture is in device pixels; the rects are in CSS pixels.
+  const scale = viewport?.width ? bitmap.width / viewport.width : 1;
+  const fontSize = Math.round(12 * scale);
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'top';
+  ctx.lineWidth = Math.max(1, Math.round(2 * scale));
+
+  marks.forEach(({ mark, box }) => {
+    const color = MARK_COLORS[(mark - 1) % MARK_COLORS.length];
+    const x = box.x * scale;
+    const y = box.y * scale;
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x, y, box.width * scale, box.height * scale);
+
+    // Label in the top-left corner, nudged inside the image when the box touches its edge
+    const label = String(mark);
+    const padding = Math.round(2 * scale);
+    const labelWidth = ctx.measureText(label).width + padding * 2;
+    const labelHeight = fontSize + padding * 2;
+    const labelX = Math.min(Math.max(0, x), bitmap.width - labelWidth);
+    const labelY = y - labelHeight >= 0 ? y - labelHeight : Math.max(0, y);
+    ctx.fillStyle = color;
+    ctx.fillRect(labelX, labelY, labelWidth, labelHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, labelX + padding, labelY + padding);
+  });
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return blobToBase64(blob);
+}
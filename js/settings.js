@@ -0,0 +1,247 @@
+/**
+ * This library is the single home of the extension's settings: the provider config, the API
+ * key, the per-feature settings, the user's identity and language. They live in
+ * chrome.storage.local, which the side panel, the splash screen and the background worker can
+ * all read (localStorage doesn't exist in a service worker). The API key is stored under a key
+ * of its own and never cached: runs copy the settings into their options and checkpoints, and
+ * the key is only read when a model is called (see getApiKey).
+ * Reads are synchronous from a cache that loadSettings fills and chrome.storage.onChanged keeps
+ * current, so the per-feature getters (getLlmConfig, getBudgetSettings, ...) stay synchronous.
+ * Loaded first, before the libraries whose getters read from it.
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+const API_KEY_STORAGE_KEY = 'apiKey';
+
+// Section -> the localStorage key it was saved under before settings moved to chrome.storage
+const LEGACY_SETTINGS_KEYS = {
+  llm: 'llmConfig',
+  compaction: 'compactionSettings',
+  screenshots: 'screenshotSettings',
+  input: 'inputSettings',
+  approval: 'approvalSettings',
+  navigation: 'navigationSettings',
+  budget: 'budgetSettings',
+  replanning: 'replanSettings',
+};
+
+const DEFAULT_PROFILE_SETTINGS = {
+  name: '',
+  email: '',
+  language: '', // BCP 47 tag, e.g. 'de-CH'; empty means the browser's language
+};
+
+// Budget setting -> how the Settings view labels it, for validation messages
+const BUDGET_SETTING_LABELS = {
+  maxLlmCalls: 'Model calls',
+  maxActionsPerStep: 'Actions per step',
+  timeoutMinutes: 'Timeout',
+  maxTokens: 'Tokens',
+  maxCost: 'Estimated cost',
+  inputPricePerMillion: 'Price per 1M input tokens',
+  outputPricePerMillion: 'Price per 1M output tokens',
+};
+
+let cachedSettings = {};
+const settingsListeners = new Set();
+
+/**
+ * Reads the settings into the cache, moving settings saved by older versions out of
+ * localStorage on the way.
+ * @returns {Promise<object>} The stored settings, by section.
+ */
+async function loadSettings() {
+  const { [SETTINGS_STORAGE_KEY]: stored } = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  cachedSettings = stored || {};
+  if (!stored && typeof localStorage !== 'undefined') {
+    const migrated = readLegacySettings();
+    if (Object.keys(migrated).length > 0) {
+      await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: migrated });
+      cachedSettings = migrated;
+      Object.values(LEGACY_SETTINGS_KEYS).forEach(key => localStorage.removeItem(key));
+      localStorage.removeItem('subscriptionKey');
+    }
+  }
+  // Keys were kept in the provider config before they got storage of their own
+  if (cachedSettings.llm && 'apiKey' in cachedSettings.llm) {
+    const { apiKey, ...llm } = cachedSettings.llm;
+    if (apiKey) await saveApiKey(apiKey);
+    cachedSettings = { ...cachedSettings, llm };
+    await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: cachedSettings });
+  }
+  return cachedSettings;
+}
+
+function readLegacySettings() {
+  const migrated = {};
+  Object.entries(LEGACY_SETTINGS_KEYS).forEach(([section, key]) => {
+    try {
+      const value = JSON.parse(localStorage.getItem(key) || 'null');
+      if (value) migrated[section] = value;
+    } catch (error) {
+      console.warn(`Dropping malformed ${key} while migrating settings:`, error);
+    }
+  });
+  const apiKey = localStorage.getItem('subscriptionKey');
+  if (apiKey) migrated.llm = { ...migrated.llm, apiKey };
+  return migrated;
+}
+
+// Every page and the worker await this before reading settings
+const settingsReady = loadSettings().catch((error) => {
+  console.error('Failed to load settings:', error);
+  return cachedSettings;
+});
+
+/**
+ * One section of the stored settings, as saved (callers merge it over their defaults).
+ * @param {string} section - E.g. 'llm', 'budget', 'profile'.
+ * @returns {object} An empty object when the section was never saved.
+ */
+function getSettingsSection(section) {
+  return { ...cachedSettings[section] };
+}
+
+/**
+ * Reads the model provider's API key, straight from storage.
+ * @returns {Promise<string>} An empty string when none was saved.
+ */
+async function getApiKey() {
+  const { [API_KEY_STORAGE_KEY]: apiKey = '' } = await chrome.storage.local.get(API_KEY_STORAGE_KEY);
+  return apiKey;
+}
+
+/**
+ * Saves the model provider's API key, or removes it.
+ * @param {string} apiKey - Empty to remove the key.
+ */
+async function saveApiKey(apiKey) {
+  if (apiKey) {
+    await chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: apiKey });
+  } else {
+    await chrome.storage.local.remove(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * The user's identity and language, for the planner.
+ * @returns {{name: string, email: string, language: string}} `language` is always set.
+ */
+function getProfileSettings() {
+  const profile = { ...DEFAULT_PROFILE_SETTINGS, ...getSettingsSection('profile') };
+  return { ...profile, language: profile.language || (typeof navigator !== 'undefined' && navigator.language) || 'en' };
+}
+
+/**
+ * The settings a run is started with, from the per-feature getters (each defined by its own
+ * library, so this is only called once those are loaded).
+ * @returns {object} Orchestrator options: llmConfig, compaction, annotateScreenshots, input,
+ *   replanning, budget, approval, navigation and tabs.
+ */
+function getRunSettings() {
+  return {
+    llmConfig: getLlmConfig(),
+    compaction: getCompactionSettings(),
+    annotateScreenshots: getScreenshotSettings().annotate,
+    input: getInputSettings(),
+    replanning: getReplanSettings(),
+    budget: getBudgetSettings(),
+    approval: getApprovalSettings(),
+    navigation: getNavigationSettings(),
+    tabs: getAgentTabSettings(),
+  };
+}
+
+/**
+ * Checks settings about to be saved.
+ * @param {object} changes - Sections to save, e.g. {llm: {...}, budget: {...}}.
+ * @throws {Error} Naming the first invalid setting.
+ */
+function validateSettings(changes) {
+  const { llm, compaction, budget, profile, tabs } = changes;
+  if (llm) {
+    if (llm.provider && !LLM_PROVIDERS[llm.provider]) throw new Error(`Unknown model provider "${llm.provider}".`);
+    if (llm.endpoint) {
+      try {
+        new URL(llm.endpoint);
+      } catch (e) {
+        throw new Error(`The endpoint "${llm.endpoint}" is not a valid URL.`);
+      }
+    }
+    if (llm.provider === 'mock') {
+      try {
+        JSON.parse(llm.mockResponses || '{}');
+      } catch (error) {
+        throw new Error(`Canned responses must be valid JSON: ${error.message}`);
+      }
+    }
+  }
+  if (compaction && (!Number.isFinite(compaction.tokenBudget) || compaction.tokenBudget < 1000)) {
+    throw new Error('The page token budget must be a number of at least 1000.');
+  }
+  if (budget) {
+    Object.entries(budget).forEach(([key, value]) => {
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${BUDGET_SETTING_LABELS[key] || key} must be a number of at least 0.`);
+      }
+    });
+  }
+  if (tabs) {
+    if (!['tab', 'group', 'window'].includes(tabs.placement)) throw new Error(`Unknown agent tab placement "${tabs.placement}".`);
+    if (!AGENT_TAB_GROUP_COLORS.includes(tabs.groupColor)) throw new Error(`"${tabs.groupColor}" is not a tab group color.`);
+  }
+  if (profile) {
+    if (profile.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profile.email)) {
+      throw new Error(`"${profile.email}" is not an email address.`);
+    }
+    if (profile.language) {
+      try {
+        Intl.getCanonicalLocales(profile.language);
+      } catch (e) {
+        throw new Error(`"${profile.language}" is not a language tag such as "en" or "de-CH".`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates and saves settings. Sections are replaced as a whole; others are kept.
+ * @param {object} changes - Sections to save, e.g. {llm: {...}, budget: {...}}. An `apiKey` in
+ *   `llm` is saved on its own (see saveApiKey).
+ * @throws {Error} If a setting is invalid (nothing is saved then).
+ */
+async function saveSettings(changes) {
+  validateSettings(changes);
+  await settingsReady;
+  if (changes.llm && 'apiKey' in changes.llm) {
+    const { apiKey, ...llm } = changes.llm;
+    await saveApiKey(apiKey);
+    changes = { ...changes, llm };
+  }
+  const updated = { ...cachedSettings, ...changes };
+  await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: updated });
+  cachedSettings = updated;
+}
+
+/**
+ * Calls back whenever settings are saved, from this page or any other part of the extension.
+ * @param {function(object, string[]): void} listener - Gets the settings and the names of the
+ *   changed sections; 'apiKey' when the API key changed.
+ * @returns {function(): void} Unsubscribes.
+ */
+function onSettingsChanged(listener) {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[API_KEY_STORAGE_KEY]) settingsListeners.forEach(listener => listener(cachedSettings, ['apiKey']));
+  if (!changes[SETTINGS_STORAGE_KEY]) return;
+  const previous = changes[SETTINGS_STORAGE_KEY].oldValue || {};
+  cachedSettings = changes[SETTINGS_STORAGE_KEY].newValue || {};
+  const changedSections = [...new Set([...Object.keys(previous), ...Object.keys(cachedSettings)])]
+    .filter(section => JSON.stringify(previous[section]) !== JSON.stringify(cachedSettings[section]));
+  if (changedSections.length === 0) return;
+  settingsListeners.forEach(listener => listener(cachedSettings, changedSections));
+});
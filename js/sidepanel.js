@@ -11,8 +11,9 @@ document.addEventListener('DOMContentLoaded', () => {
     checkSubscriptionKey();
   }, 2000); // Shortened for faster testing
 
-  function checkSubscriptionKey() {
-    const subscriptionKey = localStorage.getItem('subscriptionKey');
+  async function checkSubscriptionKey() {
+    await settingsReady;
+    const subscriptionKey = await getApiKey();
     if (subscriptionKey) {
       // If key exists, go to the main application
       window.location.href = 'main.html';
@@ -23,12 +24,17 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // The key may also be entered in another open panel
+  onSettingsChanged((settings, changedSections) => {
+    if (changedSections.includes('apiKey') && subscriptionScreen.style.display !== 'none') checkSubscriptionKey();
+  });
+
   // Event listeners
   if (continueButton) {
-    continueButton.addEventListener('click', () => {
+    continueButton.addEventListener('click', async () => {
       const key = subscriptionInput?.value?.trim();
       if (key) {
-        localStorage.setItem('subscriptionKey', key);
+        await saveApiKey(key);
         // Go to main app after setting the key
         window.location.href = 'main.html';
       } else {
@@ -0,0 +1,225 @@
+/**
+ * This library keeps credentials and form profiles in an encrypted vault in chrome.storage.local.
+ * The vault is encrypted with AES-GCM under a key derived from the user's passphrase (PBKDF2);
+ * while unlocked, the key lives in chrome.storage.session, which is memory-only and cleared when
+ * the browser closes. The model only ever sees placeholders such as `{{vault:github.password}}`;
+ * the emulator swaps in the real value when it types. Loaded by the side panel and the background worker.
+ */
+
+const VAULT_STORAGE_KEY = 'vault';
+const VAULT_SESSION_KEY = 'vaultSessionKey';
+const VAULT_KDF_ITERATIONS = 310000;
+const VAULT_PLACEHOLDER_PATTERN = /\{\{vault:([\w-]+)\.([\w-]+)\}\}/g;
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // Extractable, so the unlocked key can be kept in session storage
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function encryptVaultData(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+}
+
+async function decryptVaultData(key, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function getStoredVault() {
+  const { [VAULT_STORAGE_KEY]: stored = null } = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return stored;
+}
+
+async function getSessionVaultKey() {
+  const { [VAULT_SESSION_KEY]: rawKey = null } = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  if (!rawKey) return null;
+  return crypto.subtle.importKey('raw', base64ToBytes(rawKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function keepVaultKeyForSession(key) {
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: bytesToBase64(await crypto.subtle.exportKey('raw', key)) });
+}
+
+/**
+ * The vault's state, for the Settings view.
+ * @returns {Promise<'none'|'locked'|'unlocked'>}
+ */
+async function getVaultStatus() {
+  if (!await getStoredVault()) return 'none';
+  return (await getSessionVaultKey()) ? 'unlocked' : 'locked';
+}
+
+/**
+ * Creates an empty vault and unlocks it.
+ * @param {string} passphrase
+ * @throws {Error} If a vault already exists or the passphrase is too short.
+ */
+async function createVault(passphrase) {
+  if (await getStoredVault()) throw new Error('A vault already exists. Unlock it, or delete it first.');
+  if (!passphrase || passphrase.length < 8) throw new Error('The passphrase must be at least 8 characters long.');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveVaultKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+  const encrypted = await encryptVaultData(key, { entries: {} });
+  await chrome.storage.local.set({
+    [VAULT_STORAGE_KEY]: { salt: bytesToBase64(salt), iterations: VAULT_KDF_ITERATIONS, ...encrypted },
+  });
+  await keepVaultKeyForSession(key);
+}
+
+/**
+ * Unlocks the vault for this browser session.
+ * @param {string} passphrase
+ * @throws {Error} If there is no vault or the passphrase is wrong.
+ */
+async function unlockVault(passphrase) {
+  const stored = await getStoredVault();
+  if (!stored) throw new Error('There is no vault yet.');
+  const key = await deriveVaultKey(passphrase, base64ToBytes(stored.salt), stored.iterations);
+  try {
+    await decryptVaultData(key, stored);
+  } catch (e) {
+    throw new Error('Wrong passphrase.');
+  }
+  await keepVaultKeyForSession(key);
+}
+
+/** Forgets the unlocked key; the vault stays encrypted in storage. */
+async function lockVault() {
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+/** Deletes the vault and everything in it. */
+async function deleteVault() {
+  await lockVault();
+  await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+}
+
+/**
+ * Reads the vault's entries.
+ * @returns {Promise<object>} Entry name -> {origin?: string, fields: {[field]: string}}.
+ * @throws {Error} If the vault is missing or locked.
+ */
+async function readVaultEntries() {
+  const stored = await getStoredVault();
+  const key = stored && await getSessionVaultKey();
+  if (!key) throw new Error(stored ? 'The vault is locked. Unlock it in Settings.' : 'There is no vault. Create one in Settings.');
+  return (await decryptVaultData(key, stored)).entries;
+}
+
+/**
+ * Replaces the vault's entries, re-encrypting them.
+ * @param {object} entries - See readVaultEntries.
+ * @throws {Error} If the vault is missing or locked.
+ */
+async function saveVaultEntries(entries) {
+  const stored = await getStoredVault();
+  const key = stored && await getSessionVaultKey();
+  if (!key) throw new Error('The vault is locked. Unlock it in Settings.');
+  await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: { ...stored, ...await encryptVaultData(key, { entries }) } });
+}
+
+/**
+ * What the executor may reference: every entry's placeholders, without the values.
+ * @returns {Promise<{status: string, placeholders: Array<{placeholder: string, origin: string|null}>}>}
+ */
+async function listVaultPlaceholders() {
+  const status = await getVaultStatus();
+  if (status !== 'unlocked') return { status, placeholders: [] };
+  const entries = await readVaultEntries();
+  const placeholders = [];
+  Object.entries(entries).forEach(([name, entry]) => {
+    Object.keys(entry.fields || {}).forEach((field) => {
+      placeholders.push({ placeholder: `{{vault:${name}.${field}}}`, origin: entry.origin || null });
+    });
+  });
+  return { status, placeholders };
+}
+
+/**
+ * Parses an entry's fields typed in Settings, one `field = value` per line.
+ * @param {string} text
+ * @returns {object} Field name -> value.
+ * @throws {Error} If a line has no field name, or no field is given.
+ */
+function parseVaultFields(text) {
+  const fields = {};
+  (text || '').split('\n').filter(line => line.trim()).forEach((line) => {
+    const match = line.match(/^\s*([\w-]+)\s*=\s?(.*)$/);
+    if (!match) throw new Error(`"${line.split('=')[0].trim()} = ..." should start with a field name of letters, digits, _ or -.`);
+    fields[match[1]] = match[2];
+  });
+  if (Object.keys(fields).length === 0) throw new Error('Add at least one field, e.g. "password = ...".');
+  return fields;
+}
+
+/** The origin an entry is bound to, from what the user typed ("github.com" or a URL); null if invalid. */
+function getVaultOrigin(text) {
+  try {
+    const url = new URL(text.includes('://') ? text : `https://${text}`);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function containsVaultPlaceholder(text) {
+  return typeof text === 'string' && new RegExp(VAULT_PLACEHOLDER_PATTERN.source).test(text);
+}
+
+/**
+ * Swaps vault placeholders for their values. Entries bound to an origin are only given out
+ * on that origin, so a page can't talk the agent into typing another site's password.
+ * @param {string} text - Text with placeholders.
+ * @param {string} pageUrl - The page the text is typed into.
+ * @returns {Promise<{text: string, secrets: string[]}>} The text to type and the values used (for redaction).
+ * @throws {Error} If the vault is locked, or a placeholder is unknown or bound to another origin.
+ */
+async function resolveVaultPlaceholders(text, pageUrl) {
+  const entries = await readVaultEntries();
+  let pageOrigin = '';
+  try {
+    pageOrigin = new URL(pageUrl).origin;
+  } catch (e) {
+    // Not a web page; only entries without an origin apply
+  }
+  const secrets = [];
+  const resolved = text.replace(VAULT_PLACEHOLDER_PATTERN, (placeholder, name, field) => {
+    const entry = entries[name];
+    if (!entry || typeof entry.fields?.[field] !== 'string') {
+      throw new Error(`${placeholder} is not in the vault.`);
+    }
+    if (entry.origin && entry.origin !== pageOrigin) {
+      throw new Error(`${placeholder} may only be used on ${entry.origin}.`);
+    }
+    secrets.push(entry.fields[field]);
+    return entry.fields[field];
+  });
+  return { text: resolved, secrets };
+}
+
+/**
+ * Masks secret values in text such as result messages.
+ * @param {string} text
+ * @param {string[]} secrets
+ * @returns {string}
+ */
+function redactSecrets(text, secrets) {
+  if (typeof text !== 'string') return text;
+  return secrets.filter(secret => secret.length > 0).reduce((redacted, secret) => redacted.split(secret).join('••••••'), text);
+}